@@ -8,30 +8,182 @@
  * Task Class - Represents a single task
  */
 class Task {
-    constructor(title, priority = 'Medium', dueDate = null, group = '') {
+    constructor(title, priority = 'Medium', dueDate = null, group = '', recurrence = null, dueTime = null, reminders = []) {
         this.id = this.generateId();
         this.title = title.trim();
         this.isCompleted = false;
+        this.status = Task.STATUS_TODO;
         this.priority = priority;
         this.dueDate = dueDate;
         this.group = group;
+        this.tags = [];
+        // Ids of tasks that must be done before this one can start
+        this.blockedBy = [];
+        this.description = '';
+        this.subtasks = [];
+        this.recurrence = recurrence;
+        this.nextOccurrenceId = null;
+        this.dueTime = dueTime;
+        this.timeZone = Task.getLocalTimeZone();
+        this.reminders = Task.normalizeReminders(reminders);
+        this.firedReminders = [];
+        this.completedAt = null;
+        // Set while the task sits in the archive or the trash
+        this.archivedAt = null;
+        this.deletedAt = null;
         this.createdAt = new Date().toISOString();
         this.updatedAt = new Date().toISOString();
     }
 
+    /**
+     * IANA time zone of this browser, e.g. "Europe/Berlin"
+     */
+    static getLocalTimeZone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        } catch (e) {
+            return 'UTC';
+        }
+    }
+
+    /**
+     * Sort and de-duplicate reminder offsets (minutes before due)
+     */
+    static normalizeReminders(reminders) {
+        if (!Array.isArray(reminders)) return [];
+        return [...new Set(reminders.map(Number).filter(n => Number.isInteger(n) && n >= 0))].sort((a, b) => a - b);
+    }
+
+    /**
+     * Convert a wall-clock date + time in an IANA time zone to a Date
+     */
+    static zonedDateTime(dateStr, timeStr, timeZone) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        const [hours, minutes] = timeStr.split(':').map(Number);
+        const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+        // Offset of the zone (local minus UTC) at a given instant
+        const offsetAt = (timestamp) => {
+            try {
+                const parts = {};
+                new Intl.DateTimeFormat('en-US', {
+                    timeZone, hourCycle: 'h23',
+                    year: 'numeric', month: 'numeric', day: 'numeric',
+                    hour: 'numeric', minute: 'numeric', second: 'numeric'
+                }).formatToParts(new Date(timestamp)).forEach(p => { parts[p.type] = Number(p.value); });
+                const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+                return asUtc - Math.floor(timestamp / 1000) * 1000;
+            } catch (e) {
+                return 0;
+            }
+        };
+
+        // Second pass settles instants near a DST change
+        let utc = wallClock - offsetAt(wallClock);
+        const secondOffset = offsetAt(utc);
+        if (wallClock - secondOffset !== utc) utc = wallClock - secondOffset;
+        return new Date(utc);
+    }
+
+    /**
+     * Whether a value can be used as a task or checklist item id: letters,
+     * digits, "_" and "-" only, like the ids generateId makes. Ids end up
+     * in HTML attributes and selectors, so anything else is rejected.
+     */
+    static isValidId(id) {
+        return typeof id === 'string' && /^[\w-]+$/.test(id);
+    }
+
     /**
      * Generate unique ID using timestamp and random string
      */
-    generateId() {
-        return `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    generateId(prefix = 'task') {
+        return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
     /**
      * Toggle task completion status
      */
     toggleCompletion() {
-        this.isCompleted = !this.isCompleted;
+        this.setStatus(this.isCompleted ? Task.STATUS_TODO : Task.STATUS_DONE);
+    }
+
+    /**
+     * Workflow status of a new task, and the board column it starts in
+     */
+    static get STATUS_TODO() {
+        return 'todo';
+    }
+
+    /**
+     * The status that means the task is completed
+     */
+    static get STATUS_DONE() {
+        return 'done';
+    }
+
+    /**
+     * Move the task to a workflow status (board column); keeps isCompleted in step.
+     * The archive only holds completed work, so reopening a task takes it out.
+     */
+    setStatus(newStatus) {
+        if (typeof newStatus !== 'string' || !newStatus) return false;
+        const wasCompleted = this.isCompleted;
+        this.status = newStatus;
+        this.isCompleted = newStatus === Task.STATUS_DONE;
+        this.updatedAt = new Date().toISOString();
+        if (this.isCompleted !== wasCompleted) {
+            this.completedAt = this.isCompleted ? this.updatedAt : null;
+        }
+        if (!this.isCompleted) this.unarchive();
+        return true;
+    }
+
+    /**
+     * Move a completed task to the archive
+     */
+    archive() {
+        if (!this.isCompleted || this.archivedAt) return false;
+        this.archivedAt = new Date().toISOString();
+        this.updatedAt = this.archivedAt;
+        return true;
+    }
+
+    /**
+     * Bring an archived task back to the task list
+     */
+    unarchive() {
+        if (!this.archivedAt) return false;
+        this.archivedAt = null;
+        this.updatedAt = new Date().toISOString();
+        return true;
+    }
+
+    /**
+     * Move the task to the trash; it keeps its archive state for restoring
+     */
+    moveToTrash() {
+        if (this.deletedAt) return false;
+        this.deletedAt = new Date().toISOString();
+        this.updatedAt = this.deletedAt;
+        return true;
+    }
+
+    /**
+     * Take the task back out of the trash
+     */
+    restoreFromTrash() {
+        if (!this.deletedAt) return false;
+        this.deletedAt = null;
         this.updatedAt = new Date().toISOString();
+        return true;
+    }
+
+    /**
+     * Whether the task is on the normal task list (neither archived nor trashed)
+     */
+    isLive() {
+        return !this.archivedAt && !this.deletedAt;
     }
 
     /**
@@ -66,6 +218,25 @@ class Task {
         this.updatedAt = new Date().toISOString();
     }
 
+    /**
+     * Update due time ("HH:MM", or null for an all-day task)
+     */
+    updateDueTime(newDueTime) {
+        if (newDueTime && !/^([01]\d|2[0-3]):[0-5]\d$/.test(newDueTime)) return false;
+        this.dueTime = newDueTime || null;
+        this.timeZone = Task.getLocalTimeZone();
+        this.updatedAt = new Date().toISOString();
+        return true;
+    }
+
+    /**
+     * Update reminder offsets (minutes before due)
+     */
+    updateReminders(newReminders) {
+        this.reminders = Task.normalizeReminders(newReminders);
+        this.updatedAt = new Date().toISOString();
+    }
+
     /**
      * Update task group
      */
@@ -74,11 +245,154 @@ class Task {
         this.updatedAt = new Date().toISOString();
     }
 
+    /**
+     * Update tags (array or comma separated text)
+     */
+    updateTags(newTags) {
+        this.tags = Task.normalizeTags(newTags);
+        this.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Clean a tag list: lower case, no leading "#", single spaces, at most
+     * 30 characters each and 20 per task, duplicates dropped
+     */
+    static normalizeTags(tags) {
+        const list = typeof tags === 'string' ? tags.split(',') : (Array.isArray(tags) ? tags : []);
+        const normalized = [];
+        list.forEach(tag => {
+            if (typeof tag !== 'string') return;
+            const clean = tag.trim().replace(/^#+/, '').replace(/\s+/g, ' ').toLowerCase().slice(0, 30).trim();
+            if (clean && !normalized.includes(clean)) normalized.push(clean);
+        });
+        return normalized.slice(0, 20);
+    }
+
+    /**
+     * Update the tasks this one waits for (list of task ids)
+     */
+    updateBlockedBy(taskIds) {
+        this.blockedBy = Task.normalizeBlockedBy(taskIds, this.id);
+        this.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Clean a list of blocking task ids: valid ids only, no duplicates and
+     * never the task itself
+     */
+    static normalizeBlockedBy(taskIds, ownId = null) {
+        if (!Array.isArray(taskIds)) return [];
+        return [...new Set(taskIds.filter(id => Task.isValidId(id) && id !== ownId))];
+    }
+
+    /**
+     * Update description / notes (plain text)
+     */
+    updateDescription(newDescription) {
+        this.description = (newDescription || '').trim();
+        this.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Update repeat rule (RRULE string, or null to stop repeating)
+     */
+    updateRecurrence(newRecurrence) {
+        if (newRecurrence && !RecurrenceRule.parse(newRecurrence)) return false;
+        this.recurrence = newRecurrence ? RecurrenceRule.parse(newRecurrence).toString() : null;
+        this.updatedAt = new Date().toISOString();
+        return true;
+    }
+
+    /**
+     * Get the parsed repeat rule, or null
+     */
+    getRecurrenceRule() {
+        return RecurrenceRule.parse(this.recurrence);
+    }
+
+    /**
+     * Build the next occurrence of a recurring task, due on the first
+     * matching date after this one's due date (and not in the past).
+     * Returns null if the task doesn't repeat or was already rolled over.
+     */
+    createNextOccurrence(today = RecurrenceRule.formatDate(new Date())) {
+        const rule = this.getRecurrenceRule();
+        if (!rule || this.nextOccurrenceId) return null;
+
+        const nextDueDate = rule.nextOnOrAfter(this.dueDate || today, today);
+        if (!nextDueDate) return null;
+
+        const next = new Task(this.title, this.priority, nextDueDate, this.group, this.recurrence, this.dueTime, this.reminders);
+        next.timeZone = this.timeZone;
+        next.tags = this.tags.slice();
+        next.subtasks = this.subtasks.map(s => ({ id: next.generateId('sub'), title: s.title, isCompleted: false }));
+        this.nextOccurrenceId = next.id;
+        return next;
+    }
+
+    /**
+     * Add a checklist item; returns the new subtask or null if the title is empty
+     */
+    addSubtask(title) {
+        if (!title || !title.trim()) return null;
+        const subtask = { id: this.generateId('sub'), title: title.trim(), isCompleted: false };
+        this.subtasks.push(subtask);
+        this.updatedAt = new Date().toISOString();
+        return subtask;
+    }
+
+    /**
+     * Toggle a checklist item's completion status
+     */
+    toggleSubtask(subtaskId) {
+        const subtask = this.subtasks.find(s => s.id === subtaskId);
+        if (!subtask) return false;
+        subtask.isCompleted = !subtask.isCompleted;
+        this.updatedAt = new Date().toISOString();
+        return true;
+    }
+
+    /**
+     * Remove a checklist item
+     */
+    removeSubtask(subtaskId) {
+        const index = this.subtasks.findIndex(s => s.id === subtaskId);
+        if (index === -1) return false;
+        this.subtasks.splice(index, 1);
+        this.updatedAt = new Date().toISOString();
+        return true;
+    }
+
+    /**
+     * Move a checklist item to a new position
+     */
+    moveSubtask(subtaskId, newIndex) {
+        const index = this.subtasks.findIndex(s => s.id === subtaskId);
+        if (index === -1 || newIndex < 0 || newIndex >= this.subtasks.length || newIndex === index) {
+            return false;
+        }
+        const [subtask] = this.subtasks.splice(index, 1);
+        this.subtasks.splice(newIndex, 0, subtask);
+        this.updatedAt = new Date().toISOString();
+        return true;
+    }
+
+    /**
+     * Get checklist progress as { done, total }
+     */
+    getSubtaskProgress() {
+        return {
+            done: this.subtasks.filter(s => s.isCompleted).length,
+            total: this.subtasks.length
+        };
+    }
+
     /**
      * Check if task is overdue
      */
     isOverdue() {
         if (!this.dueDate || this.isCompleted) return false;
+        if (this.dueTime) return this.getDueDateTime() < new Date();
         const today = new Date();
         const dueDate = new Date(this.dueDate);
         today.setHours(0, 0, 0, 0);
@@ -91,6 +405,15 @@ class Task {
      */
     getFormattedDueDate() {
         if (!this.dueDate) return null;
+        if (this.dueTime) {
+            return this.getDueDateTime().toLocaleString('en-US', {
+                month: 'short',
+                day: 'numeric',
+                year: 'numeric',
+                hour: 'numeric',
+                minute: '2-digit'
+            });
+        }
         const date = new Date(this.dueDate);
         return date.toLocaleDateString('en-US', {
             month: 'short',
@@ -99,6 +422,55 @@ class Task {
         });
     }
 
+    /**
+     * Due instant as a Date. All-day tasks use 9:00 AM so reminders
+     * have something to count back from. Null without a due date.
+     */
+    getDueDateTime() {
+        if (!this.dueDate) return null;
+        return Task.zonedDateTime(this.dueDate, this.dueTime || '09:00', this.timeZone || Task.getLocalTimeZone());
+    }
+
+    /**
+     * Key identifying one reminder for the current due date/time, so
+     * moving the due date re-arms reminders that already fired
+     */
+    getReminderKey(offset) {
+        return `${this.dueDate}T${this.dueTime || ''}|${offset}`;
+    }
+
+    /**
+     * Reminders that are due by `now` and haven't fired yet
+     */
+    getDueReminders(now = new Date()) {
+        const due = this.getDueDateTime();
+        if (!due || this.isCompleted) return [];
+        return this.reminders
+            .map(offset => ({ offset, key: this.getReminderKey(offset), fireAt: new Date(due.getTime() - offset * 60000) }))
+            .filter(reminder => reminder.fireAt <= now && !this.firedReminders.includes(reminder.key));
+    }
+
+    /**
+     * Earliest reminder still to come, or null
+     */
+    getNextReminderTime(now = new Date()) {
+        const due = this.getDueDateTime();
+        if (!due || this.isCompleted) return null;
+        const upcoming = this.reminders
+            .map(offset => due.getTime() - offset * 60000)
+            .filter(time => time > now.getTime());
+        return upcoming.length > 0 ? new Date(Math.min(...upcoming)) : null;
+    }
+
+    /**
+     * Record that a reminder fired; forget keys for old due dates
+     */
+    markReminderFired(key) {
+        const current = new Set(this.reminders.map(offset => this.getReminderKey(offset)));
+        this.firedReminders = this.firedReminders.filter(k => current.has(k));
+        if (!this.firedReminders.includes(key)) this.firedReminders.push(key);
+    }
+
     /**
      * Convert task to plain object for storage
      */
@@ -107,1216 +479,7429 @@ class Task {
             id: this.id,
             title: this.title,
             isCompleted: this.isCompleted,
+            status: this.status,
             priority: this.priority,
             dueDate: this.dueDate,
             group: this.group,
+            tags: this.tags.slice(),
+            blockedBy: this.blockedBy.slice(),
+            description: this.description,
+            subtasks: this.subtasks.map(s => ({ id: s.id, title: s.title, isCompleted: s.isCompleted })),
+            recurrence: this.recurrence,
+            nextOccurrenceId: this.nextOccurrenceId,
+            dueTime: this.dueTime,
+            timeZone: this.timeZone,
+            reminders: this.reminders.slice(),
+            firedReminders: this.firedReminders.slice(),
+            completedAt: this.completedAt,
+            archivedAt: this.archivedAt,
+            deletedAt: this.deletedAt,
             createdAt: this.createdAt,
             updatedAt: this.updatedAt
         };
     }
 
+    /**
+     * Whether a value is a real calendar date written as "YYYY-MM-DD"
+     */
+    static isValidDate(value) {
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+        return RecurrenceRule.formatDate(RecurrenceRule.parseDate(value)) === value;
+    }
+
+    /**
+     * Check a plain task object from outside the app (e.g. a backup file).
+     * Returns the reason it can't be used, or null if it is valid.
+     */
+    static validateJSON(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return 'not an object';
+        if (typeof data.id !== 'string' || !data.id) return 'missing id';
+        if (!Task.isValidId(data.id)) return `invalid id "${data.id}"`;
+        if (typeof data.title !== 'string' || !data.title.trim()) return 'missing title';
+        if (!['High', 'Medium', 'Low'].includes(data.priority)) return `invalid priority "${data.priority}"`;
+        if (data.isCompleted !== undefined && typeof data.isCompleted !== 'boolean') return 'invalid completion flag';
+        if (data.status !== undefined && (typeof data.status !== 'string' || !data.status)) return 'invalid status';
+        if (data.dueDate != null && !Task.isValidDate(data.dueDate)) return `invalid due date "${data.dueDate}"`;
+        if (data.dueTime != null && !/^([01]\d|2[0-3]):[0-5]\d$/.test(data.dueTime)) return `invalid due time "${data.dueTime}"`;
+        if (data.group != null && typeof data.group !== 'string') return 'invalid group';
+        if (data.tags != null && !Array.isArray(data.tags)) return 'invalid tags';
+        if (data.blockedBy != null && !Array.isArray(data.blockedBy)) return 'invalid dependencies';
+        if (data.description != null && typeof data.description !== 'string') return 'invalid description';
+        if (data.subtasks != null && !Array.isArray(data.subtasks)) return 'invalid checklist';
+        if (data.reminders != null && !Array.isArray(data.reminders)) return 'invalid reminders';
+        if (data.recurrence && !RecurrenceRule.parse(data.recurrence)) return `invalid repeat rule "${data.recurrence}"`;
+        if (data.createdAt != null && isNaN(Date.parse(data.createdAt))) return 'invalid creation date';
+        if (data.updatedAt != null && isNaN(Date.parse(data.updatedAt))) return 'invalid last change date';
+        if (data.completedAt != null && isNaN(Date.parse(data.completedAt))) return 'invalid completion date';
+        if (data.archivedAt != null && isNaN(Date.parse(data.archivedAt))) return 'invalid archive date';
+        if (data.deletedAt != null && isNaN(Date.parse(data.deletedAt))) return 'invalid deletion date';
+        return null;
+    }
+
     /**
      * Create Task instance from plain object
      */
     static fromJSON(data) {
         const task = new Task(data.title, data.priority, data.dueDate, data.group || '');
         task.id = data.id;
-        task.isCompleted = data.isCompleted;
+        task.isCompleted = !!data.isCompleted;
+        // Tasks saved before the board existed only have isCompleted
+        if (task.isCompleted) {
+            task.status = Task.STATUS_DONE;
+        } else if (typeof data.status === 'string' && data.status && data.status !== Task.STATUS_DONE) {
+            task.status = data.status;
+        }
+        task.tags = Task.normalizeTags(data.tags);
+        task.blockedBy = Task.normalizeBlockedBy(data.blockedBy, task.id);
+        task.description = typeof data.description === 'string' ? data.description : '';
+        task.subtasks = Array.isArray(data.subtasks)
+            ? data.subtasks
+                .filter(s => s && typeof s.title === 'string')
+                .map(s => ({ id: Task.isValidId(s.id) ? s.id : task.generateId('sub'), title: s.title, isCompleted: !!s.isCompleted }))
+            : [];
+        const rule = RecurrenceRule.parse(data.recurrence);
+        task.recurrence = rule ? rule.toString() : null;
+        task.nextOccurrenceId = data.nextOccurrenceId || null;
+        task.dueTime = data.dueTime || null;
+        task.timeZone = data.timeZone || Task.getLocalTimeZone();
+        task.reminders = Task.normalizeReminders(data.reminders);
+        task.firedReminders = Array.isArray(data.firedReminders) ? data.firedReminders.slice() : [];
         task.createdAt = data.createdAt;
         task.updatedAt = data.updatedAt;
+        // Completed tasks saved before completedAt existed fall back to their last change
+        task.completedAt = task.isCompleted ? (data.completedAt || data.updatedAt || null) : null;
+        task.archivedAt = data.archivedAt || null;
+        task.deletedAt = data.deletedAt || null;
         return task;
     }
 }
 
 /**
- * UserStore - Handles users list and current session in Local Storage
+ * RecurrenceRule - A subset of the iCalendar RRULE format.
+ * Supported: FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY (weekly only)
+ * and BYMONTHDAY (monthly only, 1-31 or -1 for the last day).
+ * Examples: "FREQ=DAILY", "FREQ=DAILY;INTERVAL=3",
+ * "FREQ=WEEKLY;BYDAY=MO,WE,FR", "FREQ=MONTHLY;BYMONTHDAY=15"
  */
-class UserStore {
-    constructor() {
-        this.USERS_KEY = 'TM_USERS';
-        this.SESSION_KEY = 'TM_SESSION';
-        this.users = this.loadUsers();
-        this.session = this.loadSession();
+class RecurrenceRule {
+    constructor({ freq, interval = 1, byDay = [], byMonthDay = null }) {
+        this.freq = freq;
+        this.interval = interval;
+        this.byDay = byDay;
+        this.byMonthDay = byMonthDay;
     }
 
-    loadUsers() {
-        try {
-            const raw = localStorage.getItem(this.USERS_KEY);
-            return raw ? JSON.parse(raw) : [];
-        } catch (e) {
-            console.error('Failed to load users', e);
-            return [];
-        }
+    static get WEEKDAYS() {
+        return ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
     }
 
-    saveUsers() {
-        try {
-            localStorage.setItem(this.USERS_KEY, JSON.stringify(this.users));
-        } catch (e) {
-            console.error('Failed to save users', e);
-        }
+    static get WEEKDAY_NAMES() {
+        return ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
     }
 
-    loadSession() {
-        try {
-            const raw = localStorage.getItem(this.SESSION_KEY);
-            return raw ? JSON.parse(raw) : { username: null, isLoggedIn: false };
-        } catch (e) {
-            return { username: null, isLoggedIn: false };
+    /**
+     * Parse an RRULE string (with or without the "RRULE:" prefix).
+     * Returns null for empty or unsupported rules.
+     */
+    static parse(text) {
+        if (!text || typeof text !== 'string') return null;
+        const parts = {};
+        text.trim().replace(/^RRULE:/i, '').split(';').forEach(part => {
+            const [key, value] = part.split('=');
+            if (key && value !== undefined) parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+        });
+
+        const freq = parts.FREQ;
+        if (!['DAILY', 'WEEKLY', 'MONTHLY'].includes(freq)) return null;
+
+        const interval = parts.INTERVAL ? parseInt(parts.INTERVAL, 10) : 1;
+        if (!Number.isInteger(interval) || interval < 1 || interval > 999) return null;
+
+        let byDay = [];
+        if (parts.BYDAY) {
+            if (freq !== 'WEEKLY') return null;
+            byDay = parts.BYDAY.split(',');
+            if (byDay.some(day => !RecurrenceRule.WEEKDAYS.includes(day))) return null;
+            byDay = RecurrenceRule.WEEKDAYS.filter(day => byDay.includes(day));
         }
-    }
 
-    saveSession() {
-        try {
-            localStorage.setItem(this.SESSION_KEY, JSON.stringify(this.session));
-        } catch (e) {
-            console.error('Failed to save session', e);
+        let byMonthDay = null;
+        if (parts.BYMONTHDAY) {
+            if (freq !== 'MONTHLY') return null;
+            byMonthDay = parseInt(parts.BYMONTHDAY, 10);
+            if (!Number.isInteger(byMonthDay) || byMonthDay === 0 || byMonthDay < -1 || byMonthDay > 31) return null;
         }
-    }
 
-    findUser(username) {
-        return this.users.find(u => u.username.toLowerCase() === username.toLowerCase());
+        return new RecurrenceRule({ freq, interval, byDay, byMonthDay });
     }
 
-    createUser(username, pin) {
-        if (this.findUser(username)) return { ok: false, error: 'Username already exists' };
-        const user = { username, pin, tasks: [] };
-        this.users.push(user);
-        this.saveUsers();
-        return { ok: true, user };
+    /**
+     * Serialize back to an RRULE string
+     */
+    toString() {
+        const parts = [`FREQ=${this.freq}`];
+        if (this.interval > 1) parts.push(`INTERVAL=${this.interval}`);
+        if (this.byDay.length > 0) parts.push(`BYDAY=${this.byDay.join(',')}`);
+        if (this.byMonthDay !== null) parts.push(`BYMONTHDAY=${this.byMonthDay}`);
+        return parts.join(';');
     }
 
-    login(username, pin) {
-        const user = this.findUser(username);
-        if (!user || user.pin !== pin) return { ok: false, error: 'Invalid credentials' };
-        this.session = { username: user.username, isLoggedIn: true };
-        this.saveSession();
-        return { ok: true, user };
+    /**
+     * Short human readable label, e.g. "Weekly on Mon, Wed"
+     */
+    describe() {
+        const every = (unit, plural) => this.interval === 1 ? unit : `Every ${this.interval} ${plural}`;
+        switch (this.freq) {
+            case 'DAILY':
+                return every('Daily', 'days');
+            case 'WEEKLY': {
+                const base = every('Weekly', 'weeks');
+                if (this.byDay.length === 0) return base;
+                const names = this.byDay.map(day => RecurrenceRule.WEEKDAY_NAMES[RecurrenceRule.WEEKDAYS.indexOf(day)]);
+                return `${base} on ${names.join(', ')}`;
+            }
+            case 'MONTHLY': {
+                const base = every('Monthly', 'months');
+                if (this.byMonthDay === null) return base;
+                return `${base} on the ${this.byMonthDay === -1 ? 'last day' : RecurrenceRule.ordinal(this.byMonthDay)}`;
+            }
+            default:
+                return 'Repeats';
+        }
     }
 
-    logout() {
-        this.session = { username: null, isLoggedIn: false };
-        this.saveSession();
+    static ordinal(n) {
+        const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+        return `${n}${suffix}`;
     }
 
-    getCurrentUser() {
-        if (!this.session.isLoggedIn || !this.session.username) return null;
-        return this.findUser(this.session.username) || null;
+    /**
+     * Parse "YYYY-MM-DD" as a local date
+     */
+    static parseDate(value) {
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
     }
 
-    saveCurrentUserTasks(tasks) {
-        const current = this.getCurrentUser();
-        if (!current) return;
-        current.tasks = tasks.map(t => t.toJSON());
-        this.saveUsers();
+    /**
+     * Format a local date as "YYYY-MM-DD"
+     */
+    static formatDate(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
     }
 
-    getCurrentUserGroups() {
-        const current = this.getCurrentUser();
-        return current ? (current.groups || []) : [];
+    /**
+     * Day of month for this rule in the given month; days past the end of
+     * a short month (e.g. the 31st in April) fall on its last day
+     */
+    monthDayIn(year, month, fallbackDay) {
+        const lastDay = new Date(year, month + 1, 0).getDate();
+        const day = this.byMonthDay === null ? fallbackDay : this.byMonthDay;
+        return day === -1 ? lastDay : Math.min(day, lastDay);
     }
 
-    addGroup(groupName) {
-        const current = this.getCurrentUser();
-        if (!current) return { ok: false, error: 'No user logged in' };
-        
-        if (!current.groups) current.groups = [];
-        
-        if (current.groups.includes(groupName)) {
-            return { ok: false, error: 'Group already exists' };
+    /**
+     * Next occurrence strictly after the "YYYY-MM-DD" start date
+     */
+    next(startDate) {
+        const start = RecurrenceRule.parseDate(startDate);
+
+        if (this.freq === 'DAILY') {
+            return RecurrenceRule.formatDate(new Date(start.getFullYear(), start.getMonth(), start.getDate() + this.interval));
         }
-        
-        current.groups.push(groupName);
-        this.saveUsers();
-        return { ok: true, groups: current.groups };
+
+        if (this.freq === 'WEEKLY') {
+            const days = this.byDay.length > 0
+                ? this.byDay.map(day => RecurrenceRule.WEEKDAYS.indexOf(day))
+                : [start.getDay()];
+            // Weeks start on Monday (RRULE default WKST=MO)
+            const weekStart = date => {
+                const offset = (date.getDay() + 6) % 7;
+                return new Date(date.getFullYear(), date.getMonth(), date.getDate() - offset);
+            };
+            const startWeek = weekStart(start);
+            for (let i = 1; i <= 7 * this.interval + 7; i++) {
+                const candidate = new Date(start.getFullYear(), start.getMonth(), start.getDate() + i);
+                const weeks = Math.round((weekStart(candidate) - startWeek) / (7 * 24 * 60 * 60 * 1000));
+                if (weeks % this.interval === 0 && days.includes(candidate.getDay())) {
+                    return RecurrenceRule.formatDate(candidate);
+                }
+            }
+            return null;
+        }
+
+        if (this.freq === 'MONTHLY') {
+            // A BYMONTHDAY later in the same month comes first
+            if (this.byMonthDay !== null) {
+                const sameMonth = this.monthDayIn(start.getFullYear(), start.getMonth(), start.getDate());
+                if (sameMonth > start.getDate()) {
+                    return RecurrenceRule.formatDate(new Date(start.getFullYear(), start.getMonth(), sameMonth));
+                }
+            }
+            const target = new Date(start.getFullYear(), start.getMonth() + this.interval, 1);
+            const day = this.monthDayIn(target.getFullYear(), target.getMonth(), start.getDate());
+            return RecurrenceRule.formatDate(new Date(target.getFullYear(), target.getMonth(), day));
+        }
+
+        return null;
     }
 
-    removeGroup(groupName) {
-        const current = this.getCurrentUser();
-        if (!current) return { ok: false, error: 'No user logged in' };
-        
-        if (!current.groups) return { ok: false, error: 'No groups found' };
-        
-        const index = current.groups.indexOf(groupName);
-        if (index === -1) {
-            return { ok: false, error: 'Group not found' };
+    /**
+     * Next occurrence after the start date that is not before `notBefore`
+     */
+    nextOnOrAfter(startDate, notBefore) {
+        let date = this.next(startDate);
+        // Guard against pathological loops on very old due dates
+        for (let i = 0; date && date < notBefore && i < 1000; i++) {
+            date = this.next(date);
         }
-        
-        current.groups.splice(index, 1);
-        this.saveUsers();
-        return { ok: true, groups: current.groups };
+        return date;
     }
 }
 
 /**
- * TaskManager - manages tasks for the CURRENT logged in user
+ * SearchQuery - The search box's query language. Plain words must all
+ * appear in the title or notes, "quoted text" must appear as written, field:value
+ * tokens filter on other properties and a leading "-" negates a token:
+ *   priority:high group:"Client A" due:<2026-11-01 is:overdue -is:done tag:urgent
+ * Tokens that can't be understood are reported in `errors` and skipped.
  */
-class TaskManager {
+class SearchQuery {
     constructor() {
-        if (TaskManager.instance) {
-            return TaskManager.instance;
-        }
+        this.clauses = [];
+        this.errors = [];
+    }
 
-        // Auth and session
-        this.userStore = new UserStore();
-        
-        this.tasks = [];
-        this.filteredTasks = [];
+    static get FIELDS() {
+        return ['priority', 'group', 'tag', 'due', 'is'];
+    }
+
+    static get STATES() {
+        return ['overdue', 'done', 'completed', 'active', 'open', 'recurring'];
+    }
+
+    /**
+     * Parse search box text into a query
+     */
+    static parse(text, today = RecurrenceRule.formatDate(new Date())) {
+        const query = new SearchQuery();
+        SearchQuery.tokenize(text || '', query.errors).forEach(token => {
+            const clause = SearchQuery.parseToken(token, today);
+            if (!clause) return;
+            if (clause.error) {
+                query.errors.push(clause.error);
+            } else {
+                query.clauses.push(clause);
+            }
+        });
+        return query;
+    }
+
+    /**
+     * Split text on whitespace outside quotes. A "key:" prefix only counts
+     * when the key is one of FIELDS, so "10:30", "Re:" or a URL stays
+     * ordinary text.
+     */
+    static tokenize(text, errors) {
+        const tokens = [];
+        let i = 0;
+        while (i < text.length) {
+            if (/\s/.test(text[i])) {
+                i++;
+                continue;
+            }
+
+            const start = i;
+            const token = { negate: false, key: null, value: '', quoted: false, source: '' };
+            if (text[i] === '-' && i + 1 < text.length && !/\s/.test(text[i + 1])) {
+                token.negate = true;
+                i++;
+            }
+            while (i < text.length && !/\s/.test(text[i])) {
+                const ch = text[i];
+                if (ch === '"') {
+                    const end = text.indexOf('"', i + 1);
+                    if (end === -1) {
+                        errors.push(`Missing closing quote in ${text.slice(start)}`);
+                        token.value += text.slice(i + 1);
+                        i = text.length;
+                    } else {
+                        token.value += text.slice(i + 1, end);
+                        i = end + 1;
+                    }
+                    token.quoted = true;
+                } else if (ch === ':' && token.key === null && !token.quoted && SearchQuery.FIELDS.includes(token.value.toLowerCase())) {
+                    token.key = token.value.toLowerCase();
+                    token.value = '';
+                    i++;
+                } else {
+                    token.value += ch;
+                    i++;
+                }
+            }
+            token.source = text.slice(start, i);
+            tokens.push(token);
+        }
+        return tokens;
+    }
+
+    /**
+     * Turn one token into a clause { field, value, op, negate }, an
+     * { error } for a bad token, or null for nothing to match
+     */
+    static parseToken(token, today) {
+        const { key, negate, source } = token;
+        const value = token.value.trim();
+
+        if (key === null) {
+            return value ? { field: 'text', value: value.toLowerCase(), negate } : null;
+        }
+        if (!value) {
+            return { error: `"${source}" needs a value` };
+        }
+
+        switch (key) {
+            case 'priority': {
+                const priority = ['High', 'Medium', 'Low'].find(p => p.toLowerCase() === value.toLowerCase());
+                return priority
+                    ? { field: 'priority', value: priority, negate }
+                    : { error: `Unknown priority in "${source}" (use high, medium or low)` };
+            }
+            case 'group':
+                // groups lists the names that count; expandGroups() widens it to sub-projects
+                return { field: 'group', value: value.toLowerCase(), groups: [value.toLowerCase()], negate };
+            case 'tag': {
+                const [tag] = Task.normalizeTags([value]);
+                return tag ? { field: 'tag', value: tag, negate } : { error: `"${source}" needs a value` };
+            }
+            case 'is': {
+                const state = value.toLowerCase();
+                return SearchQuery.STATES.includes(state)
+                    ? { field: 'is', value: state, negate }
+                    : { error: `Unknown state in "${source}" (use ${SearchQuery.STATES.join(', ')})` };
+            }
+            case 'due': {
+                const [, op = '=', rest] = /^(<=|>=|<|>|=)?(.*)$/.exec(value);
+                const word = rest.trim().toLowerCase();
+                if (word === 'none') {
+                    return op === '='
+                        ? { field: 'due', op, value: null, negate }
+                        : { error: `"${source}" can't compare with none` };
+                }
+                const offsets = { yesterday: -1, today: 0, tomorrow: 1 };
+                let date = word;
+                if (word in offsets) {
+                    const base = RecurrenceRule.parseDate(today);
+                    base.setDate(base.getDate() + offsets[word]);
+                    date = RecurrenceRule.formatDate(base);
+                }
+                return Task.isValidDate(date)
+                    ? { field: 'due', op, value: date, negate }
+                    : { error: `Invalid date in "${source}" (use YYYY-MM-DD, today, tomorrow, yesterday or none)` };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Let each group: term also match the names `expand` returns for it,
+     * e.g. a project's sub-projects. Returns the query.
+     */
+    expandGroups(expand) {
+        this.clauses
+            .filter(clause => clause.field === 'group')
+            .forEach(clause => { clause.groups = expand(clause.value).map(name => name.toLowerCase()); });
+        return this;
+    }
+
+    /**
+     * Whether a task satisfies every clause
+     */
+    matches(task) {
+        return this.clauses.every(clause => SearchQuery.matchClause(task, clause) !== clause.negate);
+    }
+
+    static matchClause(task, clause) {
+        switch (clause.field) {
+            case 'text':
+                return task.title.toLowerCase().includes(clause.value) ||
+                    (task.description || '').toLowerCase().includes(clause.value);
+            case 'priority':
+                return task.priority === clause.value;
+            case 'group':
+                return clause.groups.includes((task.group || '').toLowerCase());
+            case 'tag':
+                return task.tags.includes(clause.value);
+            case 'is':
+                switch (clause.value) {
+                    case 'overdue': return task.isOverdue();
+                    case 'done':
+                    case 'completed': return task.isCompleted;
+                    case 'active':
+                    case 'open': return !task.isCompleted;
+                    case 'recurring': return !!task.recurrence;
+                }
+                return false;
+            case 'due':
+                if (clause.value === null) return !task.dueDate;
+                if (!task.dueDate) return false;
+                switch (clause.op) {
+                    case '<': return task.dueDate < clause.value;
+                    case '<=': return task.dueDate <= clause.value;
+                    case '>': return task.dueDate > clause.value;
+                    case '>=': return task.dueDate >= clause.value;
+                    default: return task.dueDate === clause.value;
+                }
+        }
+        return false;
+    }
+
+    /**
+     * Lower-cased title terms worth highlighting (negated ones matched nothing)
+     */
+    getHighlightTerms() {
+        return this.clauses
+            .filter(clause => clause.field === 'text' && !clause.negate)
+            .map(clause => clause.value);
+    }
+}
+
+/**
+ * Markdown - Renders the Markdown subset used in task notes: # headings,
+ * - and 1. lists, - [ ] checkboxes, > quotes, ``` code blocks, `code`,
+ * **bold**, *italic*, ~~strike~~, [links](https://...) and bare URLs.
+ * All text is escaped before any markup is added, so HTML typed into the
+ * notes shows up as text; links must be http(s) or mailto.
+ */
+class Markdown {
+    /**
+     * A list item that starts with a checkbox: marker, box state, rest
+     */
+    static get TASK_ITEM() {
+        return /^(\s*(?:[-*+]|\d+[.)])\s+)\[([ xX])\](\s+|$)/;
+    }
+
+    /**
+     * Escape text for use in HTML content or a quoted attribute
+     */
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Render notes to HTML. Checkboxes are numbered in `data-checkbox`
+     * (their order in the text) so a click can be mapped back with
+     * toggleCheckbox().
+     */
+    static render(text) {
+        const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+        const html = [];
+        let paragraph = [];
+        let quote = [];
+        let list = null;
+        let checkbox = 0;
+
+        const flush = () => {
+            if (paragraph.length > 0) html.push(`<p>${paragraph.map(line => Markdown.renderInline(line.trim())).join('<br>')}</p>`);
+            if (quote.length > 0) html.push(`<blockquote>${quote.map(line => Markdown.renderInline(line)).join('<br>')}</blockquote>`);
+            if (list) html.push(`<${list.type}>${list.items.join('')}</${list.type}>`);
+            paragraph = [];
+            quote = [];
+            list = null;
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            let match;
+
+            if (/^\s*```/.test(line)) {
+                flush();
+                const code = [];
+                for (i++; i < lines.length && !/^\s*```/.test(lines[i]); i++) code.push(lines[i]);
+                html.push(`<pre><code>${Markdown.escape(code.join('\n'))}</code></pre>`);
+            } else if (!line.trim()) {
+                flush();
+            } else if ((match = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/))) {
+                flush();
+                const level = match[1].length;
+                html.push(`<h${level}>${Markdown.renderInline(match[2])}</h${level}>`);
+            } else if (/^\s*(?:-{3,}|\*{3,})\s*$/.test(line)) {
+                flush();
+                html.push('<hr>');
+            } else if ((match = line.match(/^\s*>\s?(.*)$/))) {
+                if (quote.length === 0) flush();
+                quote.push(match[1]);
+            } else if ((match = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/))) {
+                const type = /\d/.test(match[1]) ? 'ol' : 'ul';
+                if (!list || list.type !== type) {
+                    flush();
+                    list = { type, items: [] };
+                }
+                const task = line.match(Markdown.TASK_ITEM);
+                if (task) {
+                    const checked = task[2] !== ' ';
+                    list.items.push(`<li class="task-list-item"><input type="checkbox" data-checkbox="${checkbox++}"${checked ? ' checked' : ''}> ` +
+                        `${Markdown.renderInline(line.slice(task[0].length))}</li>`);
+                } else {
+                    list.items.push(`<li>${Markdown.renderInline(match[2])}</li>`);
+                }
+            } else if (list && /^\s+\S/.test(line)) {
+                // Indented line continues the last list item
+                list.items[list.items.length - 1] = list.items[list.items.length - 1]
+                    .replace(/<\/li>$/, `<br>${Markdown.renderInline(line.trim())}</li>`);
+            } else {
+                if (list || quote.length > 0) flush();
+                paragraph.push(line);
+            }
+        }
+        flush();
+        return html.join('');
+    }
+
+    /**
+     * Inline markup within one line
+     */
+    static renderInline(text) {
+        // Code spans and finished links are set aside in placeholders so
+        // bold/italic/strike markers never reach inside them (or their URLs)
+        const held = [];
+        const hold = (html) => {
+            held.push(html);
+            return `\u0000${held.length - 1}\u0000`;
+        };
+        const emphasize = (html) => html
+            .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^*])\*(?=\S)([^*]+?)\*/g, '$1<em>$2</em>')
+            .replace(/~~(?=\S)(.+?)~~/g, '<del>$1</del>');
+        const link = (href, label) => hold(`<a href="${href}" target="_blank" rel="noopener noreferrer">${label}</a>`);
+        const html = Markdown.escape(String(text).replace(/\u0000/g, ''))
+            .replace(/`([^`]+)`/g, (match, code) => hold(`<code>${code}</code>`))
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => Markdown.isSafeUrl(url) && !url.includes('\u0000') ? link(url, emphasize(label)) : label)
+            .replace(/(^|[\s(])(https?:\/\/[^\s<\u0000]*[^\s<.,;:!?)\u0000])/g, (match, before, url) => before + link(url, url));
+        // Link labels can hold code spans, so restore until nothing is left
+        let result = emphasize(html);
+        while (/\u0000\d+\u0000/.test(result)) {
+            result = result.replace(/\u0000(\d+)\u0000/g, (match, index) => held[index]);
+        }
+        return result;
+    }
+
+    /**
+     * Only web and mail links; never javascript:, data: and the like
+     */
+    static isSafeUrl(url) {
+        return /^(?:https?:\/\/|mailto:)/i.test(url);
+    }
+
+    /**
+     * Check or uncheck the n-th checkbox (counted as in render()) in the text
+     */
+    static toggleCheckbox(text, index) {
+        let count = 0;
+        let inCode = false;
+        return String(text || '').split('\n').map(line => {
+            if (/^\s*```/.test(line)) inCode = !inCode;
+            if (inCode) return line;
+            return line.replace(Markdown.TASK_ITEM, (match, marker, state, after) =>
+                count++ === index ? `${marker}[${state === ' ' ? 'x' : ' '}]${after}` : match);
+        }).join('\n');
+    }
+
+    /**
+     * Plain text version for places without HTML (PDF, tooltips)
+     */
+    static toPlainText(text) {
+        let inCode = false;
+        return String(text || '').replace(/\r\n?/g, '\n').split('\n').map(line => {
+            if (/^\s*```/.test(line)) {
+                inCode = !inCode;
+                return null;
+            }
+            if (inCode) return line;
+            return line
+                .replace(Markdown.TASK_ITEM, (match, marker, state) => `${marker.replace(/[-*+]\s+$/, '')}[${state === ' ' ? ' ' : 'x'}] `)
+                .replace(/^(\s*)[-*+]\s+/, '$1\u2022 ')
+                .replace(/^\s*#{1,6}\s+(.*?)\s*#*\s*$/, '$1')
+                .replace(/^\s*>\s?/, '')
+                .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '$1 ($2)')
+                .replace(/`([^`]+)`/g, '$1')
+                .replace(/\*\*(?=\S)(.+?)\*\*/g, '$1')
+                .replace(/(^|[^*])\*(?=\S)([^*]+?)\*/g, '$1$2')
+                .replace(/~~(?=\S)(.+?)~~/g, '$1');
+        }).filter(line => line !== null).join('\n');
+    }
+}
+
+/**
+ * CsvCodec - Reads and writes RFC 4180 CSV.
+ * Rows are arrays of strings; fields holding commas, quotes or line
+ * breaks are quoted, with embedded quotes doubled.
+ */
+class CsvCodec {
+    /**
+     * Parse CSV text into rows; returns { ok, rows } or { ok, error }
+     */
+    static parse(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+        for (; i < text.length; i++) {
+            const ch = text[i];
+            if (inQuotes) {
+                if (ch !== '"') {
+                    field += ch;
+                } else if (text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else if (ch === '"' && field === '') {
+                inQuotes = true;
+            } else if (ch === ',') {
+                row.push(field);
+                field = '';
+            } else if (ch === '\r' || ch === '\n') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+
+        if (inQuotes) return { ok: false, error: 'The CSV file has an unclosed quoted field' };
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return { ok: true, rows };
+    }
+
+    /**
+     * Write rows as CSV text with CRLF line endings
+     */
+    static stringify(rows) {
+        const quote = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return rows.map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+    }
+}
+
+/**
+ * ICalendar - Minimal RFC 5545 (iCalendar) reading and writing.
+ * Handles line folding, TEXT escaping and BEGIN/END nesting; components
+ * are parsed to { type, properties: [{ name, params, value }], components }.
+ */
+class ICalendar {
+    /**
+     * Escape a TEXT value (backslash, semicolon, comma, newline)
+     */
+    static escapeText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    static unescapeText(text) {
+        return text.replace(/\\([\\;,nN])/g, (match, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+    }
+
+    /**
+     * Fold a content line to 75 octets per line, continuing with a space
+     */
+    static foldLine(line) {
+        const parts = [];
+        let current = '';
+        let octets = 0;
+        for (const ch of line) {
+            const size = ch.codePointAt(0) < 0x80 ? 1 : ch.codePointAt(0) < 0x800 ? 2 : ch.codePointAt(0) < 0x10000 ? 3 : 4;
+            if (octets + size > (parts.length === 0 ? 75 : 74)) {
+                parts.push(current);
+                current = '';
+                octets = 0;
+            }
+            current += ch;
+            octets += size;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    /**
+     * Format a Date as a UTC date-time, e.g. "20240131T083000Z"
+     */
+    static formatUTC(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Join content lines into a VCALENDAR document
+     */
+    static stringify(lines) {
+        return lines.map(line => ICalendar.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Parse iCalendar text; returns { ok, components } or { ok, error }
+     */
+    static parse(text) {
+        const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(line => line.trim());
+        const root = { type: 'ROOT', properties: [], components: [] };
+        const stack = [root];
+
+        for (const line of lines) {
+            const property = ICalendar.parseContentLine(line);
+            if (!property) return { ok: false, error: `Malformed calendar line: ${line.slice(0, 40)}` };
+
+            const current = stack[stack.length - 1];
+            if (property.name === 'BEGIN') {
+                const component = { type: property.value.toUpperCase(), properties: [], components: [] };
+                current.components.push(component);
+                stack.push(component);
+            } else if (property.name === 'END') {
+                if (stack.length === 1 || current.type !== property.value.toUpperCase()) {
+                    return { ok: false, error: `Unexpected END:${property.value}` };
+                }
+                stack.pop();
+            } else {
+                current.properties.push(property);
+            }
+        }
+
+        if (stack.length !== 1) return { ok: false, error: `Missing END:${stack[stack.length - 1].type}` };
+        return { ok: true, components: root.components };
+    }
+
+    /**
+     * Split "NAME;PARAM=a;PARAM2="b:c":value" into its parts
+     */
+    static parseContentLine(line) {
+        const match = /^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^";:,]*)(?:,(?:"[^"]*"|[^";:,]*))*)*):(.*)$/.exec(line);
+        if (!match) return null;
+
+        const params = {};
+        (match[2].match(/;[A-Za-z0-9-]+=(?:"[^"]*"|[^";:]*)/g) || []).forEach(param => {
+            const [name, ...rest] = param.slice(1).split('=');
+            params[name.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+        });
+        return { name: match[1].toUpperCase(), params, value: match[3] };
+    }
+
+    /**
+     * First property of a component with the given name, or null
+     */
+    static getProperty(component, name) {
+        return component.properties.find(property => property.name === name) || null;
+    }
+}
+
+/**
+ * PdfDocument - A small PDF 1.4 writer for text reports.
+ * Uses the built-in Helvetica fonts (no embedding, WinAnsi encoding), so
+ * characters outside Latin-1 are replaced with "?". Coordinates are in
+ * points from the top-left corner of the page.
+ */
+class PdfDocument {
+    constructor(width = 595.28, height = 841.89) {
+        this.width = width;
+        this.height = height;
+        this.pages = [];
+        this.pageIndex = -1;
+        this.info = {};
+    }
+
+    /**
+     * Advance widths (1/1000 em) of printable ASCII 32-126, from the Adobe AFM files
+     */
+    static get FONT_WIDTHS() {
+        return {
+            regular: [278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+                556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+                1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+                667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+                333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+                556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584],
+            bold: [278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+                556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+                975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+                667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+                333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+                611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584]
+        };
+    }
+
+    /**
+     * WinAnsi codes for the non-Latin-1 characters the fonts can show
+     */
+    static get WIN_ANSI_EXTRAS() {
+        return { '\u20ac': 128, '\u2026': 133, '\u2018': 145, '\u2019': 146, '\u201c': 147, '\u201d': 148,
+            '\u2022': 149, '\u2013': 150, '\u2014': 151, '\u2122': 153 };
+    }
+
+    /**
+     * Start a new page and draw on it
+     */
+    addPage() {
+        this.pages.push([]);
+        this.pageIndex = this.pages.length - 1;
+    }
+
+    /**
+     * Draw on an earlier page (0-based), e.g. to add page numbers at the end
+     */
+    setPage(index) {
+        this.pageIndex = index;
+    }
+
+    /**
+     * Width of a string in points
+     */
+    measure(text, size, bold = false) {
+        const widths = PdfDocument.FONT_WIDTHS[bold ? 'bold' : 'regular'];
+        let total = 0;
+        for (const ch of String(text)) {
+            const code = ch.charCodeAt(0);
+            total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+        }
+        return total * size / 1000;
+    }
+
+    /**
+     * Break text into lines no wider than maxWidth, splitting long words
+     */
+    wrap(text, maxWidth, size, bold = false) {
+        const lines = [];
+        String(text).split(/\r?\n/).forEach(paragraph => {
+            let line = '';
+            paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (this.measure(candidate, size, bold) <= maxWidth) {
+                    line = candidate;
+                    return;
+                }
+                if (line) lines.push(line);
+                line = '';
+                for (const ch of word) {
+                    if (line && this.measure(line + ch, size, bold) > maxWidth) {
+                        lines.push(line);
+                        line = '';
+                    }
+                    line += ch;
+                }
+            });
+            lines.push(line);
+        });
+        return lines;
+    }
+
+    /**
+     * Draw text with its baseline at y
+     */
+    text(x, y, text, { size = 11, bold = false, color = [0, 0, 0] } = {}) {
+        this.currentPage().push(
+            `BT /${bold ? 'F2' : 'F1'} ${this.num(size)} Tf ${this.rgb(color)} rg ` +
+            `${this.num(x)} ${this.num(this.height - y)} Td (${this.encodeText(text)}) Tj ET`
+        );
+    }
+
+    /**
+     * Fill a rectangle whose top-left corner is (x, y)
+     */
+    rect(x, y, width, height, color) {
+        this.currentPage().push(
+            `${this.rgb(color)} rg ${this.num(x)} ${this.num(this.height - y - height)} ${this.num(width)} ${this.num(height)} re f`
+        );
+    }
+
+    /**
+     * Stroke a straight line
+     */
+    line(x1, y1, x2, y2, color = [0, 0, 0], lineWidth = 1) {
+        this.currentPage().push(
+            `${this.rgb(color)} RG ${this.num(lineWidth)} w ` +
+            `${this.num(x1)} ${this.num(this.height - y1)} m ${this.num(x2)} ${this.num(this.height - y2)} l S`
+        );
+    }
+
+    /**
+     * Serialize the document; the result is plain ASCII
+     */
+    build() {
+        // Objects 1-5 are fixed; each page then adds a page object and its content stream
+        const pageIds = this.pages.map((commands, index) => 6 + index * 2);
+        const infoEntries = Object.entries(this.info).map(([key, value]) => `/${key} (${this.encodeText(value)})`);
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`,
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+            `<< ${infoEntries.join(' ')} /CreationDate (${this.pdfDate(new Date())}) >>`
+        ];
+        this.pages.forEach((commands, index) => {
+            const content = commands.join('\n');
+            objects.push(
+                `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.num(this.width)} ${this.num(this.height)}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`,
+                `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+            );
+        });
+
+        let output = '%PDF-1.4\n';
+        const offsets = objects.map((body, index) => {
+            const offset = output.length;
+            output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+
+        const xrefOffset = output.length;
+        output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\n`;
+        output += `startxref\n${xrefOffset}\n%%EOF\n`;
+        return output;
+    }
+
+    currentPage() {
+        if (this.pages.length === 0) this.addPage();
+        return this.pages[this.pageIndex];
+    }
+
+    /**
+     * Escape text for a PDF string literal, as WinAnsi bytes in octal
+     */
+    encodeText(text) {
+        let encoded = '';
+        for (const ch of String(text)) {
+            let code = ch.charCodeAt(0);
+            if (ch.length > 1 || (code > 126 && code < 160) || code > 255) {
+                code = PdfDocument.WIN_ANSI_EXTRAS[ch] || 63; // "?"
+            } else if (code < 32) {
+                code = 32;
+            }
+            if (ch === '(' || ch === ')' || ch === '\\') {
+                encoded += `\\${ch}`;
+            } else {
+                encoded += code > 126 ? `\\${code.toString(8).padStart(3, '0')}` : String.fromCharCode(code);
+            }
+        }
+        return encoded;
+    }
+
+    num(value) {
+        return Number(value.toFixed(2)).toString();
+    }
+
+    rgb([r, g, b]) {
+        return [r, g, b].map(channel => this.num(channel / 255)).join(' ');
+    }
+
+    pdfDate(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+            `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+    }
+}
+
+/**
+ * StorageAdapter - Interface for the persistence backend used by UserStore.
+ * Users are plain metadata records keyed by username; tasks are stored one
+ * record per task ({ username, id, order, iv, data }) and groups one record
+ * per user, so a change to a single task only rewrites that task.
+ */
+class StorageAdapter {
+    /** Open the backend; resolves once it is ready to use */
+    async init() {}
+
+    /** @returns {Promise<Object[]>} all user metadata records */
+    async getUsers() { throw new Error('getUsers not implemented'); }
+
+    /** Insert or replace a user metadata record */
+    async putUser(user) { throw new Error('putUser not implemented'); }
+
+    /** @returns {Promise<Object|null>} the saved session */
+    async getSession() { throw new Error('getSession not implemented'); }
+
+    /** Replace the saved session */
+    async putSession(session) { throw new Error('putSession not implemented'); }
+
+    /** @returns {Promise<Object[]>} a user's task records sorted by order */
+    async getTasks(username) { throw new Error('getTasks not implemented'); }
+
+    /** Insert or replace task records, and delete the given task ids */
+    async writeTasks(username, records, deletedIds = []) { throw new Error('writeTasks not implemented'); }
+
+    /** @returns {Promise<Object|null>} a user's encrypted groups payload */
+    async getGroups(username) { throw new Error('getGroups not implemented'); }
+
+    /** Replace a user's encrypted groups payload */
+    async putGroups(username, payload) { throw new Error('putGroups not implemented'); }
+
+    /** @returns {Promise<Object|null>} a user's encrypted saved filters payload */
+    async getSavedFilters(username) { throw new Error('getSavedFilters not implemented'); }
+
+    /** Replace a user's encrypted saved filters payload */
+    async putSavedFilters(username, payload) { throw new Error('putSavedFilters not implemented'); }
+
+    /** @returns {Promise<Object|null>} a user's encrypted activity log payload */
+    async getActivity(username) { throw new Error('getActivity not implemented'); }
+
+    /** Replace a user's encrypted activity log payload */
+    async putActivity(username, payload) { throw new Error('putActivity not implemented'); }
+}
+
+/**
+ * LocalStorageAdapter - Fallback backend for browsers without IndexedDB
+ */
+class LocalStorageAdapter extends StorageAdapter {
+    constructor() {
+        super();
+        this.USERS_KEY = 'TM_USERS';
+        this.SESSION_KEY = 'TM_SESSION';
+        this.TASKS_PREFIX = 'TM_TASKS:';
+        this.GROUPS_PREFIX = 'TM_GROUPS:';
+        this.FILTERS_PREFIX = 'TM_FILTERS:';
+        this.ACTIVITY_PREFIX = 'TM_ACTIVITY:';
+    }
+
+    read(key, fallback) {
+        try {
+            const raw = localStorage.getItem(key);
+            return raw ? JSON.parse(raw) : fallback;
+        } catch (e) {
+            console.error(`Failed to read ${key}`, e);
+            return fallback;
+        }
+    }
+
+    write(key, value) {
+        localStorage.setItem(key, JSON.stringify(value));
+    }
+
+    async getUsers() {
+        return this.read(this.USERS_KEY, []);
+    }
+
+    async putUser(user) {
+        const users = this.read(this.USERS_KEY, []);
+        const index = users.findIndex(u => u.username === user.username);
+        if (index === -1) users.push(user); else users[index] = user;
+        this.write(this.USERS_KEY, users);
+    }
+
+    async getSession() {
+        return this.read(this.SESSION_KEY, null);
+    }
+
+    async putSession(session) {
+        this.write(this.SESSION_KEY, session);
+    }
+
+    async getTasks(username) {
+        const records = this.read(this.TASKS_PREFIX + username, {});
+        return Object.values(records).sort((a, b) => a.order - b.order);
+    }
+
+    async writeTasks(username, records, deletedIds = []) {
+        const key = this.TASKS_PREFIX + username;
+        const existing = this.read(key, {});
+        records.forEach(record => { existing[record.id] = record; });
+        deletedIds.forEach(id => { delete existing[id]; });
+        this.write(key, existing);
+    }
+
+    async getGroups(username) {
+        return this.read(this.GROUPS_PREFIX + username, null);
+    }
+
+    async putGroups(username, payload) {
+        this.write(this.GROUPS_PREFIX + username, payload);
+    }
+
+    async getSavedFilters(username) {
+        return this.read(this.FILTERS_PREFIX + username, null);
+    }
+
+    async putSavedFilters(username, payload) {
+        this.write(this.FILTERS_PREFIX + username, payload);
+    }
+
+    async getActivity(username) {
+        return this.read(this.ACTIVITY_PREFIX + username, null);
+    }
+
+    async putActivity(username, payload) {
+        this.write(this.ACTIVITY_PREFIX + username, payload);
+    }
+}
+
+/**
+ * IndexedDBAdapter - Default backend with users, tasks, groups, saved
+ * filters and the activity log in their own object stores. Migrates the old
+ * TM_USERS / TM_SESSION localStorage keys the first time it opens.
+ */
+class IndexedDBAdapter extends StorageAdapter {
+    constructor(dbName = 'TaskManagerDB') {
+        super();
+        this.DB_NAME = dbName;
+        this.DB_VERSION = 3;
+        this.LEGACY_USERS_KEY = 'TM_USERS';
+        this.LEGACY_SESSION_KEY = 'TM_SESSION';
+        this.db = null;
+        // Called while another open tab holds up a database upgrade
+        this.onBlocked = null;
+        // Called after this tab let go of the database for another tab's upgrade
+        this.onVersionChange = null;
+    }
+
+    /**
+     * Wrap an IDBRequest in a promise
+     */
+    request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    /**
+     * Resolve when a transaction commits
+     */
+    done(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    async init() {
+        this.db = await new Promise((resolve, reject) => {
+            const req = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                if (!db.objectStoreNames.contains('users')) {
+                    db.createObjectStore('users', { keyPath: 'username' });
+                }
+                if (!db.objectStoreNames.contains('tasks')) {
+                    const tasks = db.createObjectStore('tasks', { keyPath: ['username', 'id'] });
+                    tasks.createIndex('username', 'username', { unique: false });
+                }
+                if (!db.objectStoreNames.contains('groups')) {
+                    db.createObjectStore('groups', { keyPath: 'username' });
+                }
+                if (!db.objectStoreNames.contains('filters')) {
+                    db.createObjectStore('filters', { keyPath: 'username' });
+                }
+                if (!db.objectStoreNames.contains('activity')) {
+                    db.createObjectStore('activity', { keyPath: 'username' });
+                }
+                if (!db.objectStoreNames.contains('meta')) {
+                    db.createObjectStore('meta', { keyPath: 'key' });
+                }
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+            // The open goes ahead by itself once the other tabs close their connection
+            req.onblocked = () => {
+                if (this.onBlocked) this.onBlocked();
+            };
+        });
+        // A newer version of the app in another tab needs this connection closed to upgrade
+        this.db.onversionchange = () => {
+            this.db.close();
+            if (this.onVersionChange) this.onVersionChange();
+        };
+        await this.migrateFromLocalStorage();
+    }
+
+    /**
+     * One-time copy of the legacy localStorage blob into IndexedDB.
+     * Users keep their inline tasks/groups/vault; UserStore splits those
+     * into per-task records on the user's next login.
+     */
+    async migrateFromLocalStorage() {
+        const migrated = await this.request(this.db.transaction('meta').objectStore('meta').get('migrated'));
+        if (migrated) return;
+
+        let users = [];
+        let session = null;
+        try {
+            users = JSON.parse(localStorage.getItem(this.LEGACY_USERS_KEY) || '[]');
+            session = JSON.parse(localStorage.getItem(this.LEGACY_SESSION_KEY) || 'null');
+        } catch (e) {
+            console.error('Failed to read legacy storage for migration', e);
+        }
+
+        const tx = this.db.transaction(['users', 'meta'], 'readwrite');
+        if (Array.isArray(users)) {
+            users.forEach(user => tx.objectStore('users').put(user));
+        }
+        if (session) {
+            tx.objectStore('meta').put({ key: 'session', value: session });
+        }
+        tx.objectStore('meta').put({ key: 'migrated', value: new Date().toISOString() });
+        await this.done(tx);
+
+        localStorage.removeItem(this.LEGACY_USERS_KEY);
+        localStorage.removeItem(this.LEGACY_SESSION_KEY);
+    }
+
+    async getUsers() {
+        return this.request(this.db.transaction('users').objectStore('users').getAll());
+    }
+
+    async putUser(user) {
+        const tx = this.db.transaction('users', 'readwrite');
+        tx.objectStore('users').put(user);
+        await this.done(tx);
+    }
+
+    async getSession() {
+        const record = await this.request(this.db.transaction('meta').objectStore('meta').get('session'));
+        return record ? record.value : null;
+    }
+
+    async putSession(session) {
+        const tx = this.db.transaction('meta', 'readwrite');
+        tx.objectStore('meta').put({ key: 'session', value: session });
+        await this.done(tx);
+    }
+
+    async getTasks(username) {
+        const store = this.db.transaction('tasks').objectStore('tasks');
+        const records = await this.request(store.index('username').getAll(username));
+        return records.sort((a, b) => a.order - b.order);
+    }
+
+    async writeTasks(username, records, deletedIds = []) {
+        const tx = this.db.transaction('tasks', 'readwrite');
+        const store = tx.objectStore('tasks');
+        records.forEach(record => store.put(Object.assign({}, record, { username })));
+        deletedIds.forEach(id => store.delete([username, id]));
+        await this.done(tx);
+    }
+
+    async getGroups(username) {
+        const record = await this.request(this.db.transaction('groups').objectStore('groups').get(username));
+        return record ? record.payload : null;
+    }
+
+    async putGroups(username, payload) {
+        const tx = this.db.transaction('groups', 'readwrite');
+        tx.objectStore('groups').put({ username, payload });
+        await this.done(tx);
+    }
+
+    async getSavedFilters(username) {
+        const record = await this.request(this.db.transaction('filters').objectStore('filters').get(username));
+        return record ? record.payload : null;
+    }
+
+    async putSavedFilters(username, payload) {
+        const tx = this.db.transaction('filters', 'readwrite');
+        tx.objectStore('filters').put({ username, payload });
+        await this.done(tx);
+    }
+
+    async getActivity(username) {
+        const record = await this.request(this.db.transaction('activity').objectStore('activity').get(username));
+        return record ? record.payload : null;
+    }
+
+    async putActivity(username, payload) {
+        const tx = this.db.transaction('activity', 'readwrite');
+        tx.objectStore('activity').put({ username, payload });
+        await this.done(tx);
+    }
+}
+
+/**
+ * UserStore - Handles users, the current session and encrypted task data
+ * through a pluggable StorageAdapter (IndexedDB by default)
+ */
+class UserStore {
+    constructor(adapter = UserStore.createDefaultAdapter()) {
+        this.adapter = adapter;
+
+        // PIN hashing (PBKDF2 via Web Crypto)
+        this.PIN_ITERATIONS = 150000;
+        this.PIN_SALT_BYTES = 16;
+
+        // Login throttling: minimum gap between failed attempts, then a
+        // temporary lockout that doubles each time it is triggered again
+        this.MAX_LOGIN_ATTEMPTS = 5;
+        this.MIN_ATTEMPT_INTERVAL_MS = 1000;
+        this.LOCKOUT_MS = 5 * 60 * 1000;
+        this.MAX_LOCKOUT_MS = 60 * 60 * 1000;
+
+        // Task data encryption (AES-GCM key derived from the PIN)
+        this.VAULT_ITERATIONS = 150000;
+        this.VAULT_IV_BYTES = 12;
+
+        this.users = [];
+        this.session = { username: null, isLoggedIn: false };
+
+        // Decrypted data for the logged in user; only held in memory
+        this.vaultKey = null;
+        this.vault = null;
+        // Persisted sort order per task id, used to write only moved tasks
+        this.taskOrder = new Map();
+        // Storage writes run one after another in call order
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Pick IndexedDB when the browser has it, otherwise localStorage
+     */
+    static createDefaultAdapter() {
+        return typeof indexedDB !== 'undefined' ? new IndexedDBAdapter() : new LocalStorageAdapter();
+    }
+
+    /**
+     * Open the storage backend and load users and session
+     */
+    async init() {
+        try {
+            await this.adapter.init();
+        } catch (e) {
+            console.error('Storage backend unavailable, falling back to localStorage', e);
+            this.adapter = new LocalStorageAdapter();
+            await this.adapter.init();
+        }
+
+        try {
+            this.users = await this.adapter.getUsers();
+            this.session = (await this.adapter.getSession()) || { username: null, isLoggedIn: false };
+        } catch (e) {
+            console.error('Failed to load users', e);
+            this.users = [];
+            this.session = { username: null, isLoggedIn: false };
+        }
+    }
+
+    /**
+     * Queue a storage write after all earlier ones. The returned promise
+     * rejects on failure; the queue itself keeps going.
+     */
+    enqueueWrite(write) {
+        const run = this.writeQueue.then(write);
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    saveUser(user) {
+        const snapshot = Object.assign({}, user);
+        return this.enqueueWrite(() => this.adapter.putUser(snapshot))
+            .catch(e => console.error('Failed to save user', e));
+    }
+
+    saveSession() {
+        const snapshot = Object.assign({}, this.session);
+        return this.enqueueWrite(() => this.adapter.putSession(snapshot))
+            .catch(e => console.error('Failed to save session', e));
+    }
+
+    findUser(username) {
+        return this.users.find(u => u.username.toLowerCase() === username.toLowerCase());
+    }
+
+    /**
+     * Convert a byte array to a hex string
+     */
+    bytesToHex(bytes) {
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Convert a hex string back to a byte array
+     */
+    hexToBytes(hex) {
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    /**
+     * Encode a byte array as base64
+     */
+    bytesToBase64(bytes) {
+        let binary = '';
+        const chunk = 0x8000;
+        for (let i = 0; i < bytes.length; i += chunk) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Decode a base64 string to a byte array
+     */
+    base64ToBytes(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Generate a random salt as a hex string
+     */
+    generateSalt(length = this.PIN_SALT_BYTES) {
+        return this.bytesToHex(crypto.getRandomValues(new Uint8Array(length)));
+    }
+
+    /**
+     * Derive a PBKDF2-SHA-256 hash of the PIN with the given salt
+     */
+    async hashPin(pin, salt, iterations = this.PIN_ITERATIONS) {
+        if (!window.crypto || !window.crypto.subtle) {
+            throw new Error('Secure PIN storage requires Web Crypto (HTTPS or localhost)');
+        }
+        const baseKey = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']
+        );
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt: this.hexToBytes(salt), iterations, hash: 'SHA-256' },
+            baseKey,
+            256
+        );
+        return this.bytesToHex(new Uint8Array(bits));
+    }
+
+    /**
+     * Derive the AES-GCM key that encrypts a user's tasks and groups
+     */
+    async deriveVaultKey(pin, salt, iterations = this.VAULT_ITERATIONS) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: this.hexToBytes(salt), iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Encrypt a JSON-serializable value into { iv, data }
+     */
+    async encryptJSON(value, key = this.vaultKey) {
+        const iv = crypto.getRandomValues(new Uint8Array(this.VAULT_IV_BYTES));
+        const plaintext = new TextEncoder().encode(JSON.stringify(value));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+        return { iv: this.bytesToHex(iv), data: this.bytesToBase64(new Uint8Array(ciphertext)) };
+    }
+
+    /**
+     * Decrypt an { iv, data } payload produced by encryptJSON
+     */
+    async decryptJSON(payload, key = this.vaultKey) {
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.hexToBytes(payload.iv) },
+            key,
+            this.base64ToBytes(payload.data)
+        );
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    /**
+     * Compare two strings in constant time
+     */
+    safeEqual(a, b) {
+        if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) {
+            diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        }
+        return diff === 0;
+    }
+
+    /**
+     * Store a freshly salted hash of the PIN on the user record
+     */
+    async setPin(user, pin) {
+        const salt = this.generateSalt();
+        user.pinHash = await this.hashPin(pin, salt);
+        user.pinSalt = salt;
+        user.pinIterations = this.PIN_ITERATIONS;
+        delete user.pin;
+    }
+
+    /**
+     * Check a PIN against the stored hash (or a legacy plaintext PIN)
+     */
+    async verifyPin(user, pin) {
+        if (user.pinHash && user.pinSalt) {
+            const hash = await this.hashPin(pin, user.pinSalt, user.pinIterations || this.PIN_ITERATIONS);
+            return this.safeEqual(hash, user.pinHash);
+        }
+        if (typeof user.pin === 'string') {
+            return this.safeEqual(user.pin, pin);
+        }
+        return false;
+    }
+
+    /**
+     * Record a failed login attempt and lock the account if needed
+     */
+    registerFailedAttempt(user, now) {
+        user.failedAttempts = (user.failedAttempts || 0) + 1;
+        user.lastFailedAt = now;
+
+        if (user.failedAttempts >= this.MAX_LOGIN_ATTEMPTS) {
+            const lockouts = user.lockouts || 0;
+            const duration = Math.min(this.LOCKOUT_MS * Math.pow(2, lockouts), this.MAX_LOCKOUT_MS);
+            user.lockedUntil = now + duration;
+            user.lockouts = lockouts + 1;
+            user.failedAttempts = 0;
+        }
+        this.saveUser(user);
+    }
+
+    /**
+     * Clear throttling state after a successful login
+     */
+    resetFailedAttempts(user) {
+        delete user.failedAttempts;
+        delete user.lastFailedAt;
+        delete user.lockedUntil;
+        delete user.lockouts;
+    }
+
+    /**
+     * Format a lockout message for the remaining wait time
+     */
+    getLockoutMessage(remainingMs) {
+        const minutes = Math.ceil(remainingMs / 60000);
+        return `Too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+    }
+
+    async createUser(username, pin) {
+        if (this.findUser(username)) return { ok: false, error: 'Username already exists' };
+        const user = { username, encSalt: this.generateSalt() };
+        await this.setPin(user, pin);
+        this.users.push(user);
+        await this.saveUser(user);
+        return { ok: true, user };
+    }
+
+    async login(username, pin) {
+        const user = this.findUser(username);
+        if (!user) {
+            // Spend the same hashing time so unknown usernames are not obvious
+            await this.hashPin(pin, this.generateSalt());
+            return { ok: false, error: 'Invalid credentials' };
+        }
+
+        const now = Date.now();
+        if (user.lockedUntil && user.lockedUntil > now) {
+            return { ok: false, error: this.getLockoutMessage(user.lockedUntil - now), locked: true };
+        }
+        if (user.lastFailedAt && now - user.lastFailedAt < this.MIN_ATTEMPT_INTERVAL_MS) {
+            return { ok: false, error: 'Too many attempts. Please wait a moment and try again' };
+        }
+
+        if (!(await this.verifyPin(user, pin))) {
+            this.registerFailedAttempt(user, now);
+            if (user.lockedUntil && user.lockedUntil > now) {
+                return { ok: false, error: this.getLockoutMessage(user.lockedUntil - now), locked: true };
+            }
+            const remaining = this.MAX_LOGIN_ATTEMPTS - user.failedAttempts;
+            return { ok: false, error: `Invalid credentials (${remaining} attempt${remaining === 1 ? '' : 's'} left)` };
+        }
+
+        // Migrate legacy plaintext PINs to a salted hash
+        if (!user.pinHash) {
+            await this.setPin(user, pin);
+        }
+        if (!user.encSalt) {
+            user.encSalt = this.generateSalt();
+        }
+        this.resetFailedAttempts(user);
+        this.saveUser(user);
+
+        this.vaultKey = await this.deriveVaultKey(pin, user.encSalt);
+        this.vault = null;
+
+        this.session = { username: user.username, isLoggedIn: true };
+        this.saveSession();
+        return { ok: true, user };
+    }
+
+    logout() {
+        this.session = { username: null, isLoggedIn: false };
+        this.saveSession();
+        this.vaultKey = null;
+        this.vault = null;
+        this.taskOrder = new Map();
+    }
+
+    /**
+     * Whether the current user's encryption key is available
+     */
+    isUnlocked() {
+        return !!(this.vaultKey && this.getCurrentUser());
+    }
+
+    getCurrentUser() {
+        if (!this.session.isLoggedIn || !this.session.username) return null;
+        return this.findUser(this.session.username) || null;
+    }
+
+    /**
+     * Read a display preference of the current user (stored unencrypted
+     * on the user record, so only non-sensitive settings belong here)
+     */
+    getPreference(key, fallback = null) {
+        const user = this.getCurrentUser();
+        const preferences = user && user.preferences;
+        return preferences && preferences[key] !== undefined ? preferences[key] : fallback;
+    }
+
+    setPreference(key, value) {
+        const user = this.getCurrentUser();
+        if (!user) return { ok: false, error: 'No user logged in' };
+        user.preferences = Object.assign({}, user.preferences, { [key]: value });
+        this.saveUser(user);
+        return { ok: true };
+    }
+
+    /**
+     * Decrypt the current user's tasks, groups, saved filters and activity
+     * log into memory
+     */
+    async loadCurrentUserData() {
+        const current = this.getCurrentUser();
+        if (!current || !this.vaultKey) {
+            this.vault = null;
+            return { tasks: [], groups: [] };
+        }
+
+        if (current.vault || current.tasks || current.groups) {
+            await this.migrateInlineData(current);
+        }
+
+        const [records, groupsPayload, filtersPayload, activityPayload] = await Promise.all([
+            this.adapter.getTasks(current.username),
+            this.adapter.getGroups(current.username),
+            this.adapter.getSavedFilters(current.username),
+            this.adapter.getActivity(current.username)
+        ]);
+        const tasks = await Promise.all(records.map(record => this.decryptJSON(record)));
+        // Groups used to be saved as a bare list of names
+        const groupsData = groupsPayload ? await this.decryptJSON(groupsPayload) : [];
+        const groups = Array.isArray(groupsData) ? groupsData : groupsData.groups;
+        const groupSettings = Array.isArray(groupsData) ? {} : groupsData.settings;
+        const savedFilters = filtersPayload ? await this.decryptJSON(filtersPayload) : [];
+        const activity = activityPayload ? await this.decryptJSON(activityPayload) : [];
+
+        this.taskOrder = new Map(records.map(record => [record.id, record.order]));
+        this.vault = {
+            groups: Array.isArray(groups) ? groups : [],
+            groupSettings: groupSettings && typeof groupSettings === 'object' ? groupSettings : {},
+            savedFilters: Array.isArray(savedFilters) ? savedFilters : [],
+            activity: UserStore.pruneActivity(Array.isArray(activity) ? activity : [])
+        };
+        return { tasks, groups: this.vault.groups, savedFilters: this.vault.savedFilters };
+    }
+
+    /**
+     * Split data saved inline on the user record (plaintext tasks/groups
+     * from before encryption, or a single encrypted vault blob) into
+     * per-task encrypted records
+     */
+    async migrateInlineData(user) {
+        let data;
+        if (user.vault) {
+            data = await this.decryptJSON(user.vault);
+        } else {
+            data = { tasks: user.tasks, groups: user.groups };
+        }
+        const tasks = Array.isArray(data.tasks) ? data.tasks : [];
+        const groups = Array.isArray(data.groups) ? data.groups : [];
+
+        const records = await Promise.all(tasks.map(async (task, index) =>
+            Object.assign({ id: task.id, order: index }, await this.encryptJSON(task))
+        ));
+        const groupsPayload = await this.encryptJSON(groups);
+
+        await this.enqueueWrite(async () => {
+            await this.adapter.writeTasks(user.username, records);
+            await this.adapter.putGroups(user.username, groupsPayload);
+        });
+
+        delete user.vault;
+        delete user.tasks;
+        delete user.groups;
+        await this.saveUser(user);
+    }
+
+    /**
+     * Give each task that needs it an order value between its neighbours.
+     * Returns the tasks whose order changed (plus the changed tasks).
+     */
+    assignTaskOrder(tasks, changed) {
+        const order = this.taskOrder;
+        const changedIds = new Set(changed.map(task => task.id));
+        const isFixed = task => !changedIds.has(task.id) && order.has(task.id);
+        const toWrite = [];
+        let prev = -Infinity;
+
+        for (let i = 0; i < tasks.length; i++) {
+            const task = tasks[i];
+            const currentOrder = order.get(task.id);
+            if (isFixed(task) && currentOrder > prev) {
+                prev = currentOrder;
+                continue;
+            }
+
+            const nextTask = tasks.slice(i + 1).find(isFixed);
+            let next = nextTask ? order.get(nextTask.id) : undefined;
+            if (next !== undefined && next <= prev) next = undefined;
+
+            let value;
+            if (prev === -Infinity) {
+                value = next === undefined ? 0 : next - 1;
+            } else {
+                value = next === undefined ? prev + 1 : (prev + next) / 2;
+            }
+
+            // Out of floating point room between neighbours: renumber everything
+            if (!(value > prev) || (next !== undefined && !(value < next))) {
+                tasks.forEach((t, index) => order.set(t.id, index));
+                return tasks.slice();
+            }
+
+            order.set(task.id, value);
+            prev = value;
+            toWrite.push(task);
+        }
+        return toWrite;
+    }
+
+    /**
+     * Encrypt and persist the given changed tasks, and delete any
+     * previously saved task that is no longer in the list
+     */
+    saveCurrentUserTasks(tasks, changed = tasks) {
+        const current = this.getCurrentUser();
+        const key = this.vaultKey;
+        if (!current || !key || !this.vault) return Promise.resolve();
+
+        const ids = new Set(tasks.map(task => task.id));
+        const deletedIds = [...this.taskOrder.keys()].filter(id => !ids.has(id));
+        deletedIds.forEach(id => this.taskOrder.delete(id));
+
+        // Snapshot synchronously so later edits don't leak into this write
+        const snapshots = this.assignTaskOrder(tasks, changed).map(task => ({
+            id: task.id,
+            order: this.taskOrder.get(task.id),
+            data: task.toJSON()
+        }));
+        if (snapshots.length === 0 && deletedIds.length === 0) return Promise.resolve();
+
+        return this.enqueueWrite(async () => {
+            const records = await Promise.all(snapshots.map(async snapshot =>
+                Object.assign({ id: snapshot.id, order: snapshot.order }, await this.encryptJSON(snapshot.data, key))
+            ));
+            await this.adapter.writeTasks(current.username, records, deletedIds);
+        });
+    }
+
+    /**
+     * Encrypt and persist the current user's groups (names in display
+     * order, plus per-group settings such as color and icon)
+     */
+    saveCurrentUserGroups() {
+        const current = this.getCurrentUser();
+        const key = this.vaultKey;
+        if (!current || !key || !this.vault) return Promise.resolve();
+
+        const data = { groups: this.vault.groups.slice(), settings: JSON.parse(JSON.stringify(this.vault.groupSettings)) };
+        return this.enqueueWrite(async () => {
+            await this.adapter.putGroups(current.username, await this.encryptJSON(data, key));
+        }).catch(e => console.error('Failed to save groups', e));
+    }
+
+    getCurrentUserGroups() {
+        return this.vault ? this.vault.groups : [];
+    }
+
+    /**
+     * Settings of every group, keyed by group name
+     */
+    getGroupSettings() {
+        return this.vault ? this.vault.groupSettings : {};
+    }
+
+    addGroup(groupName, settings = null) {
+        if (!this.vault) return { ok: false, error: 'No user logged in' };
+        
+        if (this.vault.groups.includes(groupName)) {
+            return { ok: false, error: 'Group already exists' };
+        }
+        
+        this.vault.groups.push(groupName);
+        if (settings) this.vault.groupSettings[groupName] = Object.assign({}, settings);
+        this.saveCurrentUserGroups();
+        return { ok: true, groups: this.vault.groups };
+    }
+
+    /**
+     * Replace the whole groups list (reordering, undo/redo). Settings are
+     * replaced too when given; either way, settings of groups no longer
+     * in the list are dropped.
+     */
+    setGroups(groups, groupSettings = this.vault && this.vault.groupSettings) {
+        if (!this.vault) return { ok: false, error: 'No user logged in' };
+        this.vault.groups = groups.slice();
+        const settings = {};
+        this.vault.groups.forEach(group => {
+            if (groupSettings && groupSettings[group]) settings[group] = Object.assign({}, groupSettings[group]);
+        });
+        this.vault.groupSettings = settings;
+        this.saveCurrentUserGroups();
+        return { ok: true, groups: this.vault.groups };
+    }
+
+    /**
+     * Rename a group in place, keeping its position and settings.
+     * Tasks are updated by the caller.
+     */
+    renameGroup(oldName, newName) {
+        if (!this.vault) return { ok: false, error: 'No user logged in' };
+
+        const index = this.vault.groups.indexOf(oldName);
+        if (index === -1) {
+            return { ok: false, error: 'Group not found' };
+        }
+        if (newName !== oldName && this.vault.groups.includes(newName)) {
+            return { ok: false, error: 'Group already exists' };
+        }
+
+        this.vault.groups[index] = newName;
+        if (this.vault.groupSettings[oldName]) {
+            this.vault.groupSettings[newName] = this.vault.groupSettings[oldName];
+            if (newName !== oldName) delete this.vault.groupSettings[oldName];
+        }
+        // Sub-projects keep pointing at their parent
+        Object.values(this.vault.groupSettings).forEach(settings => {
+            if (settings.parent === oldName) settings.parent = newName;
+        });
+        this.saveCurrentUserGroups();
+        return { ok: true, groups: this.vault.groups };
+    }
+
+    /**
+     * Merge new settings (e.g. { color, icon, parent }) into a group's settings
+     */
+    updateGroupSettings(groupName, settings) {
+        if (!this.vault) return { ok: false, error: 'No user logged in' };
+        if (!this.vault.groups.includes(groupName)) {
+            return { ok: false, error: 'Group not found' };
+        }
+
+        this.vault.groupSettings[groupName] = Object.assign({}, this.vault.groupSettings[groupName], settings);
+        this.saveCurrentUserGroups();
+        return { ok: true, groups: this.vault.groups };
+    }
+
+    removeGroup(groupName) {
+        if (!this.vault) return { ok: false, error: 'No user logged in' };
+        
+        const index = this.vault.groups.indexOf(groupName);
+        if (index === -1) {
+            return { ok: false, error: 'Group not found' };
+        }
+        
+        this.vault.groups.splice(index, 1);
+        // Sub-projects move up to the removed group's parent
+        const parent = (this.vault.groupSettings[groupName] || {}).parent || null;
+        delete this.vault.groupSettings[groupName];
+        Object.values(this.vault.groupSettings).forEach(settings => {
+            if (settings.parent === groupName) settings.parent = parent;
+        });
+        this.saveCurrentUserGroups();
+        return { ok: true, groups: this.vault.groups };
+    }
+
+    /**
+     * Encrypt and persist the current user's saved filters. They hold search
+     * text and group names, so they live in the vault, not in preferences.
+     */
+    saveCurrentUserSavedFilters() {
+        const current = this.getCurrentUser();
+        const key = this.vaultKey;
+        if (!current || !key || !this.vault) return Promise.resolve();
+
+        const savedFilters = this.vault.savedFilters.map(filter => Object.assign({}, filter));
+        return this.enqueueWrite(async () => {
+            await this.adapter.putSavedFilters(current.username, await this.encryptJSON(savedFilters, key));
+        }).catch(e => console.error('Failed to save filters', e));
+    }
+
+    getSavedFilters() {
+        return this.vault ? this.vault.savedFilters : [];
+    }
+
+    /**
+     * Replace the whole saved filters list (add, rename, reorder and delete
+     * all go through here)
+     */
+    setSavedFilters(savedFilters) {
+        if (!this.vault) return { ok: false, error: 'No user logged in' };
+        this.vault.savedFilters = savedFilters.slice();
+        this.saveCurrentUserSavedFilters();
+        return { ok: true, savedFilters: this.vault.savedFilters };
+    }
+
+    /**
+     * Retention of the activity log: entries older than this many days,
+     * and the oldest entries beyond this count, are dropped
+     */
+    static get ACTIVITY_MAX_AGE_DAYS() {
+        return 90;
+    }
+
+    static get ACTIVITY_MAX_ENTRIES() {
+        return 500;
+    }
+
+    /**
+     * Apply the retention limits to a log ordered oldest first
+     */
+    static pruneActivity(entries, now = Date.now()) {
+        const cutoff = now - UserStore.ACTIVITY_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+        return entries
+            .filter(entry => entry && Date.parse(entry.at) >= cutoff)
+            .slice(-UserStore.ACTIVITY_MAX_ENTRIES);
+    }
+
+    /**
+     * Encrypt and persist the current user's activity log. Like saved
+     * filters it holds task titles and values, so it lives in the vault.
+     */
+    saveCurrentUserActivity() {
+        const current = this.getCurrentUser();
+        const key = this.vaultKey;
+        if (!current || !key || !this.vault) return Promise.resolve();
+
+        const activity = this.vault.activity.slice();
+        return this.enqueueWrite(async () => {
+            await this.adapter.putActivity(current.username, await this.encryptJSON(activity, key));
+        }).catch(e => console.error('Failed to save activity', e));
+    }
+
+    /**
+     * The current user's activity log, oldest first
+     */
+    getActivity() {
+        return this.vault ? this.vault.activity : [];
+    }
+
+    /**
+     * Add entries to the end of the log; nothing already in it is changed,
+     * only old entries are pruned
+     */
+    appendActivity(entries) {
+        if (!this.vault) return { ok: false, error: 'No user logged in' };
+        this.vault.activity = UserStore.pruneActivity([...this.vault.activity, ...entries]);
+        this.saveCurrentUserActivity();
+        return { ok: true, activity: this.vault.activity };
+    }
+}
+
+/**
+ * CommandHistory - Undo/redo stacks of commands.
+ * A command is { label, execute(), undo() }; execute() re-applies it.
+ */
+class CommandHistory {
+    constructor(limit = 100) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pendingBatch = null;
+        // Called whenever the undo or redo stack changes
+        this.onChange = null;
+    }
+
+    notifyChange() {
+        if (this.onChange) this.onChange();
+    }
+
+    /**
+     * Record a command that has already been applied
+     */
+    push(command) {
+        if (this.pendingBatch) {
+            this.pendingBatch.push(command);
+            return;
+        }
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) this.undoStack.shift();
+        this.redoStack = [];
+        this.notifyChange();
+    }
+
+    /**
+     * Run fn and record the commands it pushes as a single command
+     */
+    batch(label, fn) {
+        if (this.pendingBatch) return fn();
+
+        const commands = [];
+        this.pendingBatch = commands;
+        try {
+            return fn();
+        } finally {
+            this.pendingBatch = null;
+            if (commands.length > 0) {
+                this.push({
+                    label,
+                    execute: () => commands.forEach(command => command.execute()),
+                    undo: () => commands.slice().reverse().forEach(command => command.undo())
+                });
+            }
+        }
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * The command undo() would revert next, or null
+     */
+    peek() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Revert the latest command; returns it, or null if there is none
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+        command.undo();
+        this.redoStack.push(command);
+        this.notifyChange();
+        return command;
+    }
+
+    /**
+     * Re-apply the latest undone command; returns it, or null
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+        command.execute();
+        this.undoStack.push(command);
+        this.notifyChange();
+        return command;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notifyChange();
+    }
+}
+
+/**
+ * TaskManager - manages tasks for the CURRENT logged in user
+ */
+class TaskManager {
+    constructor() {
+        if (TaskManager.instance) {
+            return TaskManager.instance;
+        }
+
+        // Auth and session
+        this.userStore = new UserStore();
+        
+        this.tasks = [];
+        this.filteredTasks = [];
         this.currentFilter = {
             status: 'all',
             priority: 'all',
             search: '',
             sort: 'created',
             group: 'all',
-            today: false
+            // Smart view date range (see SMART_VIEWS), null for no date filter
+            dateRange: null,
+            // Selected tags; 'any' keeps tasks with one of them, 'all' with every one
+            tags: [],
+            tagMode: 'any',
+            // 'archive' or 'trash' to look inside one of them, null for the task list
+            bin: null
+        };
+        this.currentGroup = 'all';
+        this.groups = [];
+        // Group being dragged to a new place in the sidebar
+        this.draggedGroup = null;
+        // Named snapshots of currentFilter shown in the sidebar
+        this.savedFilters = [];
+        // Parsed form of currentFilter.search, rebuilt by applyFilters
+        this.searchQuery = new SearchQuery();
+        // Task ids whose checklist is expanded on the card
+        this.expandedTasks = new Set();
+        // Task ids whose notes are expanded on the card
+        this.expandedNotes = new Set();
+        // Blocking task ids being edited in the task editor
+        this.editorBlockers = [];
+        // Task ids picked for a bulk action, and where a Shift-click range starts
+        this.selectedTasks = new Set();
+        this.selectionAnchor = null;
+        // Reminder scheduler: re-check at least this often
+        this.REMINDER_POLL_MS = 60 * 1000;
+        this.reminderTimer = null;
+        // Undo/redo for task and group changes
+        this.history = new CommandHistory();
+        // Refreshers for notification buttons that depend on the history
+        this.notificationActions = new Set();
+        this.history.onChange = () => this.notificationActions.forEach(refresh => refresh());
+        // 'list', 'board' or 'calendar', remembered per user
+        this.viewMode = 'list';
+        // Calendar view: 'month' or 'week', and a date inside the shown range
+        this.calendarMode = 'month';
+        this.calendarDate = new Date();
+
+        try {
+            this.cacheDom();
+            this.initializeEventListeners();
+            this.userStore.adapter.onBlocked = () => {
+                this.showNotification('Please close the Task Manager in your other tabs so it can update its storage.', 'warning', { duration: 15000 });
+            };
+            this.userStore.adapter.onVersionChange = () => {
+                this.showNotification('Task Manager was updated in another tab. Reload this page to keep working.', 'error', { duration: 15000 });
+            };
+            this.ready = this.userStore.init().then(() => this.bootstrapView());
+        } catch (error) {
+            console.error('Error initializing TaskManager:', error);
+            // Force hide preloader and show auth screen
+            this.hidePreloader();
+            if (this.authSection) this.authSection.style.display = 'flex';
+            if (this.dashboardSection) this.dashboardSection.style.display = 'none';
+        }
+
+        // Ensure preloader is hidden after a maximum delay
+        setTimeout(() => {
+            this.hidePreloader();
+        }, 1000);
+
+        TaskManager.instance = this;
+    }
+
+    /** Cache frequently used DOM nodes */
+    cacheDom() {
+        // Core elements - these are required
+        this.authSection = document.getElementById('auth-section');
+        this.dashboardSection = document.getElementById('dashboard-section');
+        this.preloader = document.getElementById('preloader');
+        
+        // Check if core elements exist
+        if (!this.authSection || !this.dashboardSection) {
+            console.error('Critical DOM elements not found');
+            return;
+        }
+        
+        // Optional elements
+        this.currentUsernameEl = document.getElementById('current-username');
+
+        // Auth elements
+        this.loginTab = document.getElementById('login-tab');
+        this.signupTab = document.getElementById('signup-tab');
+        this.loginForm = document.getElementById('login-form');
+        this.signupForm = document.getElementById('signup-form');
+        this.logoutBtn = document.getElementById('logout-btn');
+
+        // Sidebar elements
+        this.sidebar = document.getElementById('sidebar');
+        this.sidebarUsername = document.getElementById('sidebar-username');
+        this.logoutBtnSidebar = document.getElementById('logout-btn-sidebar');
+        this.groupsContainer = document.getElementById('groups-container');
+        this.addGroupBtn = document.getElementById('add-group-btn');
+        this.tagsContainer = document.getElementById('tags-container');
+        this.tagModeBtn = document.getElementById('tag-mode-btn');
+        this.savedFiltersContainer = document.getElementById('saved-filters-container');
+        this.saveFilterBtn = document.getElementById('save-filter-btn');
+        this.mobileMenuBtn = document.getElementById('mobile-menu-btn');
+        this.allTasksNav = document.getElementById('all-tasks-nav');
+        this.smartViewNavs = document.querySelectorAll('[data-smart-view]');
+        this.binNavs = document.querySelectorAll('[data-bin]');
+        this.archiveCompletedBtn = document.getElementById('archive-completed-btn');
+        this.binBannerBtn = document.getElementById('bin-banner-btn');
+
+        // Export elements
+        this.exportBtn = document.getElementById('export-btn');
+        this.exportDropdown = document.getElementById('export-dropdown');
+        this.printOption = document.getElementById('print-option');
+        this.pdfOption = document.getElementById('pdf-option');
+        this.exportJsonOption = document.getElementById('export-json-option');
+        this.importJsonOption = document.getElementById('import-json-option');
+        this.importJsonInput = document.getElementById('import-json-input');
+        this.importModal = document.getElementById('import-modal');
+        this.exportCsvViewOption = document.getElementById('export-csv-view-option');
+        this.exportCsvAllOption = document.getElementById('export-csv-all-option');
+        this.importCsvOption = document.getElementById('import-csv-option');
+        this.importCsvInput = document.getElementById('import-csv-input');
+        this.csvMappingModal = document.getElementById('csv-mapping-modal');
+        this.exportIcsTodoOption = document.getElementById('export-ics-todo-option');
+        this.exportIcsEventOption = document.getElementById('export-ics-event-option');
+        this.importIcsOption = document.getElementById('import-ics-option');
+        this.importIcsInput = document.getElementById('import-ics-input');
+
+        // Empty state elements
+        this.emptyStateCta = document.getElementById('empty-state-cta');
+    }
+
+    /**
+     * Initialize all event listeners
+     */
+    initializeEventListeners() {
+        // Auth tabs
+        if (this.loginTab && this.signupTab) {
+            this.loginTab.addEventListener('click', () => this.toggleAuthTab('login'));
+            this.signupTab.addEventListener('click', () => this.toggleAuthTab('signup'));
+        }
+
+        // Login
+        if (this.loginForm) {
+            this.loginForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                const username = document.getElementById('login-username').value.trim();
+                const pin = document.getElementById('login-pin').value.trim();
+                if (!username || !pin) return this.showNotification('Enter username and PIN', 'error');
+                try {
+                    const res = await this.userStore.login(username, pin);
+                    if (!res.ok) return this.showNotification(res.error, 'error');
+                } catch (error) {
+                    console.error('Login failed:', error);
+                    return this.showNotification(error.message || 'Login failed', 'error');
+                }
+                document.getElementById('login-pin').value = '';
+                this.showNotification('Welcome back!', 'success');
+                this.bootstrapView();
+            });
+        }
+
+        // Signup
+        if (this.signupForm) {
+            this.signupForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                const username = document.getElementById('signup-username').value.trim();
+                const pin = document.getElementById('signup-pin').value.trim();
+                const confirm = document.getElementById('confirm-pin').value.trim();
+                if (pin !== confirm) return this.showNotification('PINs do not match', 'error');
+                if (username.length < 3) return this.showNotification('Username too short', 'error');
+                if (pin.length < 4 || pin.length > 6) return this.showNotification('PIN must be 4-6 digits', 'error');
+                try {
+                    const res = await this.userStore.createUser(username, pin);
+                    if (!res.ok) return this.showNotification(res.error, 'error');
+                    await this.userStore.login(username, pin);
+                } catch (error) {
+                    console.error('Signup failed:', error);
+                    return this.showNotification(error.message || 'Could not create account', 'error');
+                }
+                this.signupForm.reset();
+                this.showNotification('Account created!', 'success');
+                this.bootstrapView();
+            });
+        }
+
+        // Logout
+        if (this.logoutBtn) {
+            this.logoutBtn.addEventListener('click', () => {
+                this.stopReminderScheduler();
+                this.history.clear();
+                this.userStore.logout();
+                this.tasks = [];
+                this.render();
+                this.updateProgress();
+                this.bootstrapView();
+            });
+        }
+
+        // Sidebar logout
+        if (this.logoutBtnSidebar) {
+            this.logoutBtnSidebar.addEventListener('click', () => {
+                this.stopReminderScheduler();
+                this.history.clear();
+                this.userStore.logout();
+                this.tasks = [];
+                this.render();
+                this.updateProgress();
+                this.bootstrapView();
+            });
+        }
+
+        // Mobile menu toggle
+        if (this.mobileMenuBtn) {
+            this.mobileMenuBtn.addEventListener('click', () => {
+                this.sidebar.classList.toggle('open');
+            });
+        }
+
+        // Export functionality - robust floating dropdown
+        if (this.exportBtn) {
+            const positionExportDropdown = () => {
+                if (!this.exportDropdown || !this.exportBtn) return;
+                const rect = this.exportBtn.getBoundingClientRect();
+                // ensure dropdown is fixed to viewport so it escapes stacking contexts
+                this.exportDropdown.style.position = 'fixed';
+                this.exportDropdown.style.left = `${rect.left}px`;
+                this.exportDropdown.style.top = `${rect.bottom + 8}px`;
+                this.exportDropdown.style.minWidth = `${Math.max(rect.width, 200)}px`;
+                this.exportDropdown.style.zIndex = '99999';
+            };
+
+            this._positionExportDropdown = positionExportDropdown;
+
+            this.exportBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+
+                // Move dropdown into body so it's not clipped by parent stacking contexts
+                if (this.exportDropdown && !this.exportDropdown._movedToBody) {
+                    this.exportDropdown._originalParent = this.exportDropdown.parentNode;
+                    this.exportDropdown._nextSibling = this.exportDropdown.nextSibling;
+                    document.body.appendChild(this.exportDropdown);
+                    this.exportDropdown._movedToBody = true;
+                }
+
+                if (!this.exportDropdown) return;
+                this.exportDropdown.classList.toggle('show');
+
+                if (this.exportDropdown.classList.contains('show')) {
+                    positionExportDropdown();
+                    window.addEventListener('resize', this._positionExportDropdown);
+                    window.addEventListener('scroll', this._positionExportDropdown, true);
+                } else {
+                    window.removeEventListener('resize', this._positionExportDropdown);
+                    window.removeEventListener('scroll', this._positionExportDropdown, true);
+                }
+            });
+        }
+
+        if (this.printOption) {
+            this.printOption.addEventListener('click', () => {
+                this.closeExportDropdown();
+                this.printTasks();
+            });
+        }
+
+        if (this.pdfOption) {
+            this.pdfOption.addEventListener('click', () => {
+                this.closeExportDropdown();
+                this.saveAsPDF();
+            });
+        }
+
+        if (this.exportJsonOption) {
+            this.exportJsonOption.addEventListener('click', () => {
+                this.closeExportDropdown();
+                this.exportJSON();
+            });
+        }
+
+        if (this.exportCsvViewOption) {
+            this.exportCsvViewOption.addEventListener('click', () => {
+                this.closeExportDropdown();
+                this.exportCSV(this.filteredTasks);
+            });
+        }
+
+        if (this.exportCsvAllOption) {
+            this.exportCsvAllOption.addEventListener('click', () => {
+                this.closeExportDropdown();
+                // Archived tasks are part of "all"; the trash is not
+                this.exportCSV(this.tasks.filter(task => !task.deletedAt));
+            });
+        }
+
+        if (this.importCsvOption && this.importCsvInput) {
+            this.importCsvOption.addEventListener('click', () => {
+                this.closeExportDropdown();
+                this.importCsvInput.click();
+            });
+            this.importCsvInput.addEventListener('change', () => {
+                const file = this.importCsvInput.files[0];
+                this.importCsvInput.value = '';
+                if (file) this.importCSVFile(file);
+            });
+        }
+
+        if (this.exportIcsTodoOption) {
+            this.exportIcsTodoOption.addEventListener('click', () => {
+                this.closeExportDropdown();
+                this.exportICS('VTODO');
+            });
+        }
+
+        if (this.exportIcsEventOption) {
+            this.exportIcsEventOption.addEventListener('click', () => {
+                this.closeExportDropdown();
+                this.exportICS('VEVENT');
+            });
+        }
+
+        if (this.importIcsOption && this.importIcsInput) {
+            this.importIcsOption.addEventListener('click', () => {
+                this.closeExportDropdown();
+                this.importIcsInput.click();
+            });
+            this.importIcsInput.addEventListener('change', () => {
+                const file = this.importIcsInput.files[0];
+                this.importIcsInput.value = '';
+                if (file) this.importICSFile(file);
+            });
+        }
+
+        if (this.importJsonOption && this.importJsonInput) {
+            this.importJsonOption.addEventListener('click', () => {
+                this.closeExportDropdown();
+                this.importJsonInput.click();
+            });
+            this.importJsonInput.addEventListener('change', () => {
+                const file = this.importJsonInput.files[0];
+                this.importJsonInput.value = '';
+                if (file) this.importJSONFile(file);
+            });
+        }
+
+        // Close export dropdown when clicking outside
+        document.addEventListener('click', (e) => {
+            if (this.exportDropdown && !this.exportBtn.contains(e.target) && !this.exportDropdown.contains(e.target)) {
+                this.closeExportDropdown();
+            }
+        });
+
+        // Import dialog
+        if (this.importModal) {
+            this.bindModal(this.importModal, () => this.closeImportDialog());
+            document.getElementById('import-confirm').addEventListener('click', () => this.confirmImport());
+        }
+
+        // CSV column mapping dialog
+        if (this.csvMappingModal) {
+            this.bindModal(this.csvMappingModal, () => this.closeCsvMapping());
+            document.getElementById('csv-mapping-form').addEventListener('submit', (e) => this.handleCsvMappingSubmit(e));
+        }
+
+        // Group management
+        if (this.addGroupBtn) {
+            this.addGroupBtn.addEventListener('click', () => this.openGroupDialog());
+        }
+        if (this.groupsContainer) {
+            this.groupsContainer.addEventListener('click', (e) => this.handleGroupListClick(e));
+            this.groupsContainer.addEventListener('keydown', (e) => this.handleGroupKeydown(e));
+            this.groupsContainer.addEventListener('dragstart', (e) => this.handleGroupDragStart(e));
+            this.groupsContainer.addEventListener('dragover', (e) => this.handleGroupDragOver(e));
+            this.groupsContainer.addEventListener('drop', (e) => this.handleGroupDrop(e));
+            this.groupsContainer.addEventListener('dragend', () => this.handleGroupDragEnd());
+        }
+        const groupModal = document.getElementById('group-modal');
+        if (groupModal) {
+            this.bindModal(groupModal, () => this.closeGroupDialog());
+            document.getElementById('group-form').addEventListener('submit', (e) => this.handleGroupSubmit(e));
+        }
+        const groupDeleteModal = document.getElementById('group-delete-modal');
+        if (groupDeleteModal) {
+            this.bindModal(groupDeleteModal, () => this.closeGroupDeleteDialog());
+            const deleteForm = document.getElementById('group-delete-form');
+            deleteForm.addEventListener('submit', (e) => this.handleGroupDeleteSubmit(e));
+            // Picking a target group means moving the tasks there
+            deleteForm.elements.namedItem('target').addEventListener('change', () => {
+                deleteForm.querySelector('input[name="group-delete-mode"][value="move"]').checked = true;
+            });
+        }
+
+        if (this.tagsContainer) {
+            this.tagsContainer.addEventListener('click', (e) => this.handleTagCloudClick(e));
+        }
+        if (this.tagModeBtn) {
+            this.tagModeBtn.addEventListener('click', () => this.toggleTagMode());
+        }
+        document.querySelectorAll('.tag-input').forEach(input => this.setupTagAutocomplete(input));
+
+        if (this.saveFilterBtn) {
+            this.saveFilterBtn.addEventListener('click', () => this.saveCurrentFilter());
+        }
+        if (this.savedFiltersContainer) {
+            this.savedFiltersContainer.addEventListener('click', (e) => this.handleSavedFilterClick(e));
+        }
+
+        // Empty state CTA
+        if (this.emptyStateCta) {
+            this.emptyStateCta.addEventListener('click', () => {
+                document.getElementById('task-title').focus();
+            });
+        }
+
+        // Sidebar navigation
+        if (this.allTasksNav) {
+            this.allTasksNav.addEventListener('click', () => {
+                this.filterByAllTasks();
+            });
+        }
+
+        this.smartViewNavs.forEach(item => {
+            item.addEventListener('click', () => this.filterBySmartView(item.dataset.smartView));
+        });
+
+        // Archive and trash
+        this.binNavs.forEach(item => {
+            item.addEventListener('click', () => this.filterByBin(item.dataset.bin));
+        });
+        if (this.archiveCompletedBtn) {
+            this.archiveCompletedBtn.addEventListener('click', () => this.archiveCompleted());
+        }
+        if (this.binBannerBtn) {
+            this.binBannerBtn.addEventListener('click', () => {
+                if (this.currentFilter.bin === 'trash') this.emptyTrash(); else this.archiveCompleted();
+            });
+        }
+
+
+
+        // Task form submission
+        const taskForm = document.getElementById('task-form');
+        if (taskForm) {
+            taskForm.addEventListener('submit', (e) => this.handleTaskSubmit(e));
+        }
+
+        // Repeat selector shows the matching options
+        const repeatSelect = document.getElementById('task-repeat');
+        if (repeatSelect) {
+            repeatSelect.addEventListener('change', () => this.updateRepeatOptions(taskForm));
+        }
+
+        // Reminder picker summary
+        const reminderPicker = document.getElementById('reminder-picker');
+        if (reminderPicker) {
+            reminderPicker.addEventListener('change', () => this.updateReminderSummary());
+        }
+
+        // Task editor dialog
+        const editorModal = document.getElementById('task-editor-modal');
+        const editorForm = document.getElementById('task-editor-form');
+        if (editorModal && editorForm) {
+            editorForm.addEventListener('submit', (e) => this.handleTaskEditorSubmit(e));
+            editorForm.elements.namedItem('repeat').addEventListener('change', () => this.updateRepeatOptions(editorForm));
+            editorForm.querySelector('.editor-notes-preview-btn').addEventListener('click', () => {
+                this.showNotesPreview(editorForm, !editorForm.elements.namedItem('description').hidden);
+            });
+            document.getElementById('editor-blocker-add').addEventListener('change', (e) => {
+                if (e.target.value) this.editorBlockers.push(e.target.value);
+                this.renderEditorBlockers();
+            });
+            document.getElementById('editor-blocker-list').addEventListener('click', (e) => {
+                const button = e.target.closest('[data-blocker-id]');
+                if (!button) return;
+                this.editorBlockers = this.editorBlockers.filter(id => id !== button.dataset.blockerId);
+                this.renderEditorBlockers();
+                document.getElementById('editor-blocker-add').focus();
+            });
+            this.bindModal(editorModal, () => this.closeTaskEditor());
+        }
+
+        // Activity feed and log dialog
+        const activityModal = document.getElementById('activity-modal');
+        if (activityModal) {
+            document.getElementById('activity-btn').addEventListener('click', () => this.openActivityLog());
+            document.getElementById('activity-recent').addEventListener('click', (e) => this.handleActivityClick(e));
+            document.getElementById('activity-list').addEventListener('click', (e) => this.handleActivityClick(e));
+            this.bindModal(activityModal, () => this.closeActivityLog());
+        }
+
+        // Filter and search controls
+        document.getElementById('status-filter').addEventListener('change', (e) => {
+            this.currentFilter.status = e.target.value;
+            this.applyFilters();
+        });
+
+        document.getElementById('priority-filter').addEventListener('change', (e) => {
+            this.currentFilter.priority = e.target.value;
+            this.applyFilters();
+        });
+
+        document.getElementById('sort-filter').addEventListener('change', (e) => {
+            this.currentFilter.sort = e.target.value;
+            this.applyFilters();
+        });
+
+        document.getElementById('search-input').addEventListener('input', (e) => {
+            this.currentFilter.search = e.target.value;
+            this.applyFilters();
+        });
+
+        // Undo / redo shortcuts
+        document.addEventListener('keydown', (e) => this.handleHistoryShortcut(e));
+
+        // List / board switcher
+        document.querySelectorAll('.view-option[data-view]').forEach(button => {
+            button.addEventListener('click', () => this.setViewMode(button.dataset.view));
+        });
+
+        // Board column settings
+        const columnsBtn = document.getElementById('board-columns-btn');
+        const columnsModal = document.getElementById('board-columns-modal');
+        if (columnsBtn && columnsModal) {
+            columnsBtn.addEventListener('click', () => this.openBoardColumnsDialog());
+            this.bindModal(columnsModal, () => this.closeBoardColumnsDialog());
+            document.getElementById('board-columns-form').addEventListener('submit', (e) => this.handleBoardColumnsSubmit(e));
+            document.getElementById('add-board-column').addEventListener('click', () => this.addBoardColumnSetting());
+            document.getElementById('board-column-settings').addEventListener('click', (e) => this.handleBoardColumnSettingClick(e));
+        }
+
+        // Calendar view
+        const taskCalendar = document.getElementById('task-calendar');
+        if (taskCalendar) {
+            taskCalendar.addEventListener('click', (e) => this.handleCalendarClick(e));
+            taskCalendar.addEventListener('dragstart', (e) => this.handleCalendarDragStart(e));
+            taskCalendar.addEventListener('dragover', (e) => this.handleCalendarDragOver(e));
+            taskCalendar.addEventListener('drop', (e) => this.handleCalendarDrop(e));
+            taskCalendar.addEventListener('dragend', () => this.clearDragHighlights());
+        }
+
+        // Task list and board event delegation
+        [document.getElementById('task-list'), document.getElementById('task-board')].filter(Boolean).forEach(container => {
+            container.addEventListener('click', (e) => this.handleTaskClick(e));
+            container.addEventListener('submit', (e) => this.handleSubtaskSubmit(e));
+            container.addEventListener('dblclick', (e) => this.handleTaskDoubleClick(e));
+            container.addEventListener('dragstart', (e) => this.handleDragStart(e));
+            container.addEventListener('dragover', (e) => this.handleDragOver(e));
+            container.addEventListener('drop', (e) => this.handleDrop(e));
+            container.addEventListener('dragend', (e) => this.handleDragEnd(e));
+        });
+
+        // Bulk action bar
+        const bulkBar = document.getElementById('bulk-bar');
+        if (bulkBar) {
+            bulkBar.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-bulk-action]');
+                if (button) this.handleBulkAction(button.dataset.bulkAction);
+            });
+            bulkBar.addEventListener('change', (e) => this.handleBulkFieldChange(e.target));
+        }
+        document.addEventListener('keydown', (e) => this.handleSelectionShortcut(e));
+    }
+
+    /**
+     * Bootstrap view based on session state
+     */
+    async bootstrapView() {
+        try {
+            const sessionUser = this.userStore.getCurrentUser();
+            if (sessionUser && !this.userStore.isUnlocked()) {
+                // Session survived a reload but the encryption key did not
+                this.showLockedSession(sessionUser.username);
+            } else if (sessionUser) {
+                // Show dashboard
+                this.authSection.style.display = 'none';
+                this.authSection.classList.add('hidden');
+                this.dashboardSection.style.display = 'block';
+                this.dashboardSection.classList.remove('hidden');
+                
+                if (this.currentUsernameEl) this.currentUsernameEl.textContent = sessionUser.username;
+                if (this.sidebarUsername) this.sidebarUsername.textContent = sessionUser.username;
+                
+                await this.loadTasks();
+                // Tasks left in the trash too long go for good
+                this.purgeExpiredTrash();
+                this.history.clear();
+                this.clearSelection();
+                this.loadGroups();
+                this.loadSavedFilters();
+                this.renderActivityFeed();
+                this.updateGroupDropdown();
+                this.viewMode = TaskManager.VIEW_MODES.includes(this.userStore.getPreference('view')) ? this.userStore.getPreference('view') : 'list';
+                this.calendarMode = this.userStore.getPreference('calendarMode') === 'week' ? 'week' : 'month';
+                this.calendarDate = new Date();
+                this.updateViewSwitcher();
+                this.applyFilters();
+                this.updateProgress();
+                this.startReminderScheduler();
+                
+                const titleInput = document.getElementById('task-title');
+                if (titleInput) titleInput.focus();
+            } else {
+                // Show auth
+                this.authSection.style.display = 'flex';
+                this.authSection.classList.remove('hidden');
+                this.dashboardSection.style.display = 'none';
+                this.dashboardSection.classList.add('hidden');
+                this.toggleAuthTab('login');
+            }
+        } catch (error) {
+            console.error('Error in bootstrapView:', error);
+            // Fallback: show auth screen
+            this.authSection.style.display = 'flex';
+            this.authSection.classList.remove('hidden');
+            this.dashboardSection.style.display = 'none';
+            this.dashboardSection.classList.add('hidden');
+        } finally {
+            // Always hide preloader
+            this.hidePreloader();
+        }
+    }
+
+    /**
+     * Ask for the PIN again to unlock a remembered session
+     */
+    showLockedSession(username) {
+        this.authSection.style.display = 'flex';
+        this.authSection.classList.remove('hidden');
+        this.dashboardSection.style.display = 'none';
+        this.dashboardSection.classList.add('hidden');
+        this.toggleAuthTab('login');
+
+        const usernameInput = document.getElementById('login-username');
+        const pinInput = document.getElementById('login-pin');
+        if (usernameInput) usernameInput.value = username;
+        if (pinInput) pinInput.focus();
+        this.showNotification('Enter your PIN to unlock your tasks', 'info');
+    }
+
+    /** Hide preloader with fade-out */
+    hidePreloader() {
+        if (!this.preloader) return;
+        this.preloader.classList.add('hidden');
+        // Remove from flow after transition
+        setTimeout(() => {
+            if (this.preloader && this.preloader.parentNode) {
+                this.preloader.parentNode.removeChild(this.preloader);
+            }
+        }, 500);
+    }
+
+    /**
+     * Filter by all tasks
+     */
+    filterByAllTasks() {
+        this.currentFilter.dateRange = null;
+        this.currentFilter.status = 'all';
+        this.currentFilter.priority = 'all';
+        this.currentFilter.group = 'all';
+        this.currentFilter.search = '';
+        this.currentFilter.tags = [];
+        this.currentFilter.bin = null;
+        this.updateActiveNavItem(this.allTasksNav);
+        this.syncFilterControls();
+        this.applyFilters();
+    }
+
+    /**
+     * Show one of the built-in smart views (Today, Overdue, ...)
+     */
+    filterBySmartView(view) {
+        const range = TaskManager.SMART_VIEWS[view];
+        if (!range) return;
+        this.currentFilter.dateRange = { view, ...range };
+        this.currentFilter.status = 'all'; // The view decides which tasks count
+        this.currentFilter.group = 'all';
+        this.currentFilter.bin = null;
+        this.updateActiveNavItem(document.querySelector(`[data-smart-view="${view}"]`));
+        this.syncFilterControls();
+        this.applyFilters();
+        this.showNotification(`Showing ${range.label.toLowerCase()}`, 'info');
+    }
+
+    /**
+     * Look inside the archive or the trash. Other filters start from
+     * scratch so nothing in there is hidden.
+     */
+    filterByBin(bin) {
+        if (!['archive', 'trash'].includes(bin)) return;
+        if (bin === 'trash') this.purgeExpiredTrash();
+        this.currentFilter.bin = bin;
+        this.currentFilter.dateRange = null;
+        this.currentFilter.status = 'all';
+        this.currentFilter.priority = 'all';
+        this.currentFilter.group = 'all';
+        this.currentFilter.search = '';
+        this.currentFilter.tags = [];
+        this.updateActiveNavItem(document.querySelector(`[data-bin="${bin}"]`));
+        this.syncFilterControls();
+        this.applyFilters();
+    }
+
+    /**
+     * Refresh the count badges next to Archive and Trash
+     */
+    updateBinCounts() {
+        this.binNavs.forEach(item => {
+            const badge = item.querySelector('.nav-count');
+            if (!badge) return;
+            const count = this.getBinTasks(item.dataset.bin).length;
+            badge.textContent = count;
+            badge.classList.toggle('empty', count === 0);
+        });
+    }
+
+    /**
+     * Make the toolbar filter controls show what currentFilter holds
+     */
+    syncFilterControls() {
+        document.getElementById('status-filter').value = this.currentFilter.status;
+        document.getElementById('priority-filter').value = this.currentFilter.priority;
+        document.getElementById('sort-filter').value = this.currentFilter.sort;
+        document.getElementById('search-input').value = this.currentFilter.search;
+    }
+
+    /**
+     * Highlight one sidebar entry (nav item or group) and clear the rest
+     */
+    updateActiveNavItem(activeItem) {
+        document.querySelectorAll('.nav-item, .group-item, .saved-filter-item').forEach(item => {
+            item.classList.toggle('active', item === activeItem);
+        });
+    }
+
+
+    /** Toggle between login and signup tabs */
+    toggleAuthTab(which) {
+        if (!this.loginTab || !this.signupTab) return;
+        const makeActive = (el, active) => el.classList.toggle('active', active);
+        makeActive(this.loginTab, which === 'login');
+        makeActive(this.signupTab, which === 'signup');
+        this.loginForm.classList.toggle('active', which === 'login');
+        this.signupForm.classList.toggle('active', which === 'signup');
+    }
+
+    /**
+     * Handle task form submission
+     */
+    handleTaskSubmit(e) {
+        e.preventDefault();
+        
+        const taskForm = document.getElementById('task-form');
+        const titleInput = document.getElementById('task-title');
+        const values = this.readTaskForm(taskForm);
+
+        const error = this.validateTaskInput(values);
+        if (error) {
+            this.showNotification(error.message, 'error');
+            if (error.field && taskForm.elements.namedItem(error.field)) {
+                taskForm.elements.namedItem(error.field).focus();
+            }
+            return;
+        }
+
+        // Create new task
+        const task = new Task(values.title, values.priority, values.dueDate, values.group,
+            values.recurrence, values.dueTime, values.reminders);
+        task.updateTags(values.tags);
+        this.addTask(task);
+        if (values.reminders.length > 0) {
+            this.requestNotificationPermission();
+            this.startReminderScheduler();
+        }
+
+        // Reset form
+        taskForm.reset();
+        this.updateRepeatOptions(taskForm);
+        this.updateReminderSummary();
+        const reminderPicker = document.getElementById('reminder-picker');
+        if (reminderPicker) reminderPicker.open = false;
+        titleInput.focus();
+
+        this.showNotification('Task added successfully!', 'success');
+    }
+
+    /**
+     * Read task fields from a form (the add form or the editor dialog)
+     */
+    readTaskForm(form) {
+        const field = name => form.elements.namedItem(name);
+        const value = name => (field(name) ? field(name).value : '');
+
+        const dueDate = value('dueDate') || null;
+        return {
+            title: value('title').trim(),
+            priority: value('priority'),
+            group: value('group') || '',
+            tags: Task.normalizeTags(value('tags')),
+            dueDate,
+            dueTime: dueDate ? (value('dueTime') || null) : null,
+            reminders: [...form.querySelectorAll('.reminder-offset:checked')].map(box => Number(box.value)),
+            recurrence: this.readRepeatForm(form),
+            description: field('description') ? value('description').trim() : undefined
+        };
+    }
+
+    /**
+     * Validate task fields; returns { message, field } or null if valid
+     */
+    validateTaskInput(values) {
+        // Validate title
+        if (!values.title) {
+            return { message: 'Task title is required!', field: 'title' };
+        }
+
+        // Validate priority
+        if (!['High', 'Medium', 'Low'].includes(values.priority)) {
+            return { message: 'Please select a priority!', field: 'priority' };
+        }
+
+        // Group is optional - no validation needed
+
+        // Validate repeat options
+        if (values.recurrence === false) {
+            return { message: 'Please choose valid repeat options!', field: 'repeat' };
+        }
+
+        // Reminders count back from the due date
+        if (values.reminders.length > 0 && !values.dueDate) {
+            return { message: 'Set a due date to use reminders!', field: 'dueDate' };
+        }
+
+        return null;
+    }
+
+    /**
+     * Show the weekday / month day / interval inputs for the chosen repeat
+     */
+    updateRepeatOptions(form) {
+        const repeatSelect = form.elements.namedItem('repeat');
+        const options = form.querySelector('.repeat-options');
+        if (!repeatSelect || !options) return;
+
+        const mode = repeatSelect.value;
+        options.style.display = ['weekly', 'monthly', 'interval'].includes(mode) ? 'flex' : 'none';
+        options.querySelectorAll('[data-repeat-mode]').forEach(el => {
+            el.style.display = el.dataset.repeatMode === mode ? 'flex' : 'none';
+        });
+
+        // Default to the due date's weekday / day of month
+        const dueDateValue = form.elements.namedItem('dueDate').value;
+        const base = dueDateValue ? RecurrenceRule.parseDate(dueDateValue) : new Date();
+        if (mode === 'weekly' && !options.querySelector('.repeat-weekday:checked')) {
+            const box = options.querySelector(`.repeat-weekday[value="${RecurrenceRule.WEEKDAYS[base.getDay()]}"]`);
+            if (box) box.checked = true;
+        }
+        const monthDay = form.elements.namedItem('repeatMonthDay');
+        if (mode === 'monthly' && monthDay && !monthDay.value) {
+            monthDay.value = base.getDate();
+        }
+    }
+
+    /**
+     * Build an RRULE string from a form's repeat controls.
+     * Returns null for "does not repeat" and false for invalid input.
+     */
+    readRepeatForm(form) {
+        const repeatSelect = form.elements.namedItem('repeat');
+        if (!repeatSelect || !repeatSelect.value) return null;
+
+        let rule;
+        switch (repeatSelect.value) {
+            case 'daily':
+                rule = 'FREQ=DAILY';
+                break;
+            case 'weekly': {
+                const days = [...form.querySelectorAll('.repeat-weekday:checked')].map(box => box.value);
+                if (days.length === 0) return false;
+                rule = `FREQ=WEEKLY;BYDAY=${days.join(',')}`;
+                break;
+            }
+            case 'monthly':
+                rule = `FREQ=MONTHLY;BYMONTHDAY=${form.elements.namedItem('repeatMonthDay').value}`;
+                break;
+            case 'interval':
+                rule = `FREQ=DAILY;INTERVAL=${form.elements.namedItem('repeatInterval').value}`;
+                break;
+            case 'custom':
+                // A rule the selector can't express (e.g. every 2 weeks), kept as is
+                rule = repeatSelect.dataset.customRule;
+                break;
+            default:
+                return null;
+        }
+
+        const parsed = RecurrenceRule.parse(rule);
+        return parsed ? parsed.toString() : false;
+    }
+
+    /**
+     * Set a form's repeat controls from an RRULE string
+     */
+    fillRepeatForm(form, recurrence) {
+        const repeatSelect = form.elements.namedItem('repeat');
+        const rule = RecurrenceRule.parse(recurrence);
+        form.querySelectorAll('.repeat-weekday').forEach(box => { box.checked = false; });
+        form.elements.namedItem('repeatMonthDay').value = '';
+        form.elements.namedItem('repeatInterval').value = 2;
+
+        const customOption = repeatSelect.querySelector('option[value="custom"]');
+        if (customOption) customOption.remove();
+
+        let mode = '';
+        if (rule && rule.freq === 'DAILY' && rule.interval === 1) {
+            mode = 'daily';
+        } else if (rule && rule.freq === 'DAILY') {
+            mode = 'interval';
+            form.elements.namedItem('repeatInterval').value = rule.interval;
+        } else if (rule && rule.freq === 'WEEKLY' && rule.interval === 1 && rule.byDay.length > 0) {
+            mode = 'weekly';
+            form.querySelectorAll('.repeat-weekday').forEach(box => { box.checked = rule.byDay.includes(box.value); });
+        } else if (rule && rule.freq === 'MONTHLY' && rule.interval === 1 && rule.byMonthDay > 0) {
+            mode = 'monthly';
+            form.elements.namedItem('repeatMonthDay').value = rule.byMonthDay;
+        } else if (rule) {
+            mode = 'custom';
+            const option = document.createElement('option');
+            option.value = 'custom';
+            option.textContent = rule.describe();
+            repeatSelect.appendChild(option);
+            repeatSelect.dataset.customRule = rule.toString();
+        }
+
+        repeatSelect.value = mode;
+        this.updateRepeatOptions(form);
+    }
+
+    /**
+     * Describe a reminder offset, e.g. "15 minutes before"
+     */
+    formatReminderOffset(offset) {
+        if (offset === 0) return 'At due time';
+        const plural = (n, unit) => `${n} ${unit}${n === 1 ? '' : 's'} before`;
+        if (offset % 1440 === 0) return plural(offset / 1440, 'day');
+        if (offset % 60 === 0) return plural(offset / 60, 'hour');
+        return plural(offset, 'minute');
+    }
+
+    /**
+     * Show the chosen reminders on the picker's summary line
+     */
+    updateReminderSummary() {
+        const summary = document.getElementById('reminder-summary');
+        if (!summary) return;
+        const checked = document.querySelectorAll('#reminder-picker .reminder-offset:checked');
+        summary.textContent = checked.length === 0
+            ? 'No reminders'
+            : checked.length === 1 ? this.formatReminderOffset(Number(checked[0].value)) : `${checked.length} reminders`;
+    }
+
+    /**
+     * Ask for browser notification permission (needs a user gesture)
+     */
+    requestNotificationPermission() {
+        if (!('Notification' in window) || Notification.permission !== 'default') return;
+        try {
+            Notification.requestPermission();
+        } catch (e) {
+            console.error('Notification permission request failed', e);
+        }
+    }
+
+    /**
+     * (Re)start the reminder scheduler. The first check also catches up
+     * on reminders that came due while the app was closed.
+     */
+    startReminderScheduler() {
+        this.stopReminderScheduler();
+        this.checkReminders(true);
+    }
+
+    stopReminderScheduler() {
+        if (this.reminderTimer) {
+            clearTimeout(this.reminderTimer);
+            this.reminderTimer = null;
+        }
+    }
+
+    /**
+     * Fire due reminders and schedule the next check
+     */
+    checkReminders(isCatchUp = false) {
+        this.reminderTimer = null;
+        if (!this.userStore.isUnlocked()) return;
+
+        const now = new Date();
+        const fired = [];
+        const liveTasks = this.getLiveTasks();
+        liveTasks.forEach(task => {
+            task.getDueReminders(now).forEach(reminder => {
+                task.markReminderFired(reminder.key);
+                fired.push({ task, reminder });
+            });
+        });
+
+        if (fired.length > 0) {
+            this.saveTasks([...new Set(fired.map(item => item.task))]);
+            this.announceReminders(fired, isCatchUp);
+        }
+
+        // Sessions left open for weeks purge the trash on the timer, not only
+        // at login; restarts after an undo or an edit leave it alone
+        if (!isCatchUp && this.purgeExpiredTrash(now) > 0) {
+            this.applyFilters();
+            this.updateProgress();
+        }
+
+        const upcoming = liveTasks
+            .map(task => task.getNextReminderTime(now))
+            .filter(Boolean)
+            .map(date => date.getTime() - now.getTime());
+        const delay = Math.max(1000, Math.min(this.REMINDER_POLL_MS, ...upcoming));
+        this.reminderTimer = setTimeout(() => this.checkReminders(), delay);
+    }
+
+    /**
+     * Show toasts (and browser notifications if allowed) for reminders
+     */
+    announceReminders(fired, isCatchUp) {
+        const describe = ({ task }) => {
+            const due = task.getDueDateTime();
+            const when = due < new Date() ? `was due ${task.getFormattedDueDate()}` : `is due ${task.getFormattedDueDate()}`;
+            return `"${task.title}" ${when}`;
+        };
+
+        // Several missed reminders collapse into one toast
+        if (isCatchUp && fired.length > 1) {
+            this.showNotification(`You missed ${fired.length} reminders: ${fired.slice(0, 3).map(describe).join('; ')}${fired.length > 3 ? '…' : ''}`, 'warning');
+        } else {
+            fired.forEach(item => this.showNotification(`Reminder: ${describe(item)}`, 'warning'));
+        }
+
+        if ('Notification' in window && Notification.permission === 'granted') {
+            fired.forEach(item => {
+                try {
+                    new Notification('Task reminder', { body: describe(item), tag: item.reminder.key });
+                } catch (e) {
+                    console.error('Failed to show browser notification', e);
+                }
+            });
+        }
+    }
+
+    /**
+     * Add a new task
+     */
+    addTask(task) {
+        this.recordTaskChange('Add task', [], () => {
+            this.tasks.unshift(task);
+        });
+        this.saveTasks([task]);
+        this.applyFilters();
+        this.updateProgress();
+        
+        console.log('Task added:', task.title, 'Total tasks:', this.tasks.length);
+        
+        // Visual entry effect for newest card
+        setTimeout(() => {
+            const firstCard = document.querySelector('#task-list .task-card');
+            if (firstCard) firstCard.classList.add('just-added');
+        }, 100);
+    }
+
+    /**
+     * Update an existing task
+     */
+    updateTask(taskId, updates) {
+        const taskIndex = this.tasks.findIndex(task => task.id === taskId);
+        if (taskIndex !== -1) {
+            const task = this.tasks[taskIndex];
+            this.recordTaskChange('Edit task', [taskId], () => this.applyTaskUpdates(task, updates));
+
+            this.saveTasks([task]);
+            this.applyFilters();
+            this.updateProgress();
+            if (updates.dueDate !== undefined || updates.dueTime !== undefined || updates.reminders !== undefined) {
+                this.startReminderScheduler();
+            }
+        }
+    }
+
+    /**
+     * Apply an updates object to a task through its update methods
+     */
+    applyTaskUpdates(task, updates) {
+        if (updates.title !== undefined) {
+            task.updateTitle(updates.title);
+        }
+        if (updates.priority !== undefined) {
+            task.updatePriority(updates.priority);
+        }
+        if (updates.dueDate !== undefined) {
+            task.updateDueDate(updates.dueDate);
+        }
+        if (updates.dueTime !== undefined) {
+            task.updateDueTime(updates.dueTime);
+        }
+        if (updates.reminders !== undefined) {
+            task.updateReminders(updates.reminders);
+        }
+        if (updates.group !== undefined) {
+            task.updateGroup(updates.group);
+        }
+        if (updates.tags !== undefined) {
+            task.updateTags(updates.tags);
+        }
+        if (updates.blockedBy !== undefined) {
+            task.updateBlockedBy(updates.blockedBy);
+        }
+        if (updates.description !== undefined) {
+            task.updateDescription(updates.description);
+        }
+        if (updates.recurrence !== undefined) {
+            task.updateRecurrence(updates.recurrence);
+        }
+        if (updates.status !== undefined) {
+            task.setStatus(updates.status);
+        }
+        if (updates.isCompleted !== undefined && updates.isCompleted !== task.isCompleted) {
+            task.setStatus(updates.isCompleted ? Task.STATUS_DONE : Task.STATUS_TODO);
+        }
+    }
+
+    /**
+     * Move a task to the trash. It stays there, restorable, for
+     * TRASH_RETENTION_DAYS before it is deleted for good.
+     */
+    deleteTask(taskId) {
+        const task = this.tasks.find(task => task.id === taskId);
+        if (!task || task.deletedAt) return;
+        this.recordTaskChange('Move to trash', [taskId], () => task.moveToTrash());
+        this.expandedTasks.delete(taskId);
+        this.saveTasks([task]);
+        this.applyFilters();
+        this.updateProgress();
+        this.showNotification('Task moved to trash', 'success', this.undoAction());
+    }
+
+    /**
+     * Days a task stays in the trash before it is deleted for good
+     */
+    static get TRASH_RETENTION_DAYS() {
+        return 30;
+    }
+
+    /**
+     * Take a task out of the trash, back to the list (or archive) it came from
+     */
+    restoreTask(taskId) {
+        const task = this.tasks.find(task => task.id === taskId);
+        if (!task || !task.deletedAt) return;
+        this.recordTaskChange('Restore task', [taskId], () => task.restoreFromTrash());
+        this.saveTasks([task]);
+        this.applyFilters();
+        this.updateProgress();
+        this.showNotification(task.archivedAt ? 'Task restored to the archive' : 'Task restored', 'success', this.undoAction());
+    }
+
+    /**
+     * Remove tasks for good, along with links other tasks have to them.
+     * Returns how many were removed.
+     */
+    removeTasksForever(taskIds, label) {
+        const ids = new Set(taskIds.filter(id => this.tasks.some(task => task.id === id)));
+        if (ids.size === 0) return 0;
+        let unlinked = [];
+        this.recordTaskChange(label, [...ids, ...this.getDependentIds([...ids])], () => {
+            this.tasks = this.tasks.filter(task => !ids.has(task.id));
+            unlinked = this.removeDependencyLinks([...ids]);
+        });
+        ids.forEach(id => this.expandedTasks.delete(id));
+        this.saveTasks(unlinked);
+        return ids.size;
+    }
+
+    /**
+     * Delete a task in the trash for good (still undoable)
+     */
+    deleteTaskForever(taskId) {
+        const task = this.tasks.find(task => task.id === taskId);
+        if (!task || !task.deletedAt) return;
+        if (!confirm(`Delete "${task.title}" for good? This cannot be restored from the trash.`)) return;
+        this.removeTasksForever([taskId], 'Delete task forever');
+        this.applyFilters();
+        this.updateProgress();
+        this.showNotification('Task deleted for good', 'success', this.undoAction());
+    }
+
+    /**
+     * Delete everything in the trash for good
+     */
+    emptyTrash() {
+        const trashed = this.tasks.filter(task => task.deletedAt);
+        if (trashed.length === 0) {
+            this.showNotification('The trash is already empty', 'info');
+            return;
+        }
+        const count = trashed.length;
+        if (!confirm(`Delete ${count} ${count === 1 ? 'task' : 'tasks'} in the trash for good?`)) return;
+        this.removeTasksForever(trashed.map(task => task.id), 'Empty trash');
+        this.applyFilters();
+        this.updateProgress();
+        this.showNotification('Trash emptied', 'success', this.undoAction());
+    }
+
+    /**
+     * Delete tasks that have been in the trash longer than
+     * TRASH_RETENTION_DAYS. Returns how many were removed.
+     */
+    purgeExpiredTrash(now = new Date()) {
+        const cutoff = now.getTime() - TaskManager.TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        const ids = new Set(this.tasks
+            .filter(task => task.deletedAt && Date.parse(task.deletedAt) <= cutoff)
+            .map(task => task.id));
+        if (ids.size === 0) return 0;
+
+        // Retention is not a user action, so it stays off the undo stack;
+        // the activity log still records what went
+        const before = new Map([...ids, ...this.getDependentIds([...ids])].map(id => [id, this.snapshotTask(id)]));
+        this.tasks = this.tasks.filter(task => !ids.has(task.id));
+        const unlinked = this.removeDependencyLinks([...ids]);
+        const after = new Map([...before.keys()].map(id => [id, this.snapshotTask(id)]));
+        ids.forEach(id => this.expandedTasks.delete(id));
+        this.logTaskActivity('Purge old trash', before, after);
+        this.saveTasks(unlinked);
+        return ids.size;
+    }
+
+    /**
+     * Days until a trashed task is deleted for good (0 = at the next purge)
+     */
+    getDaysUntilPurge(task, now = new Date()) {
+        const purgeAt = Date.parse(task.deletedAt) + TaskManager.TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        return Math.max(0, Math.ceil((purgeAt - now.getTime()) / (24 * 60 * 60 * 1000)));
+    }
+
+    /**
+     * "in 3 days", "tomorrow" or "today" for a trashed task's purge
+     */
+    describePurge(task) {
+        const days = this.getDaysUntilPurge(task);
+        if (days <= 0) return 'today';
+        return days === 1 ? 'tomorrow' : `in ${days} days`;
+    }
+
+    /**
+     * Move a completed task to the archive, or bring it back
+     */
+    toggleTaskArchived(taskId) {
+        const task = this.tasks.find(task => task.id === taskId);
+        if (!task || task.deletedAt) return;
+        const archiving = !task.archivedAt;
+        if (archiving && !task.isCompleted) return;
+        this.recordTaskChange(archiving ? 'Archive task' : 'Unarchive task', [taskId], () => {
+            if (archiving) task.archive(); else task.unarchive();
+        });
+        this.saveTasks([task]);
+        this.applyFilters();
+        this.updateProgress();
+        this.showNotification(archiving ? 'Task archived' : 'Task moved back to the list', 'success', this.undoAction());
+    }
+
+    /**
+     * Archive every completed task on the list in one undoable step
+     */
+    archiveCompleted() {
+        const completed = this.getLiveTasks().filter(task => task.isCompleted);
+        if (completed.length === 0) {
+            this.showNotification('No completed tasks to archive', 'info');
+            return;
+        }
+        this.recordTaskChange('Archive completed tasks', completed.map(task => task.id), () => {
+            completed.forEach(task => task.archive());
+        });
+        this.saveTasks(completed);
+        this.applyFilters();
+        this.updateProgress();
+        const count = completed.length;
+        this.showNotification(`${count} completed ${count === 1 ? 'task' : 'tasks'} archived`, 'success', this.undoAction());
+    }
+
+    /**
+     * Tasks on the normal list: not archived and not in the trash
+     */
+    getLiveTasks() {
+        return this.tasks.filter(task => task.isLive());
+    }
+
+    /**
+     * Tasks in the archive ('archive') or the trash ('trash'). Trashed
+     * tasks only show in the trash, even if they were archived before.
+     */
+    getBinTasks(bin) {
+        if (bin === 'trash') return this.tasks.filter(task => task.deletedAt);
+        if (bin === 'archive') return this.tasks.filter(task => task.archivedAt && !task.deletedAt);
+        return this.getLiveTasks();
+    }
+
+    /**
+     * Toggle task completion
+     */
+    toggleTaskCompletion(taskId) {
+        const task = this.tasks.find(task => task.id === taskId);
+        if (task) {
+            if (!task.isCompleted && !this.confirmCompleteBlocked(task)) return;
+
+            let nextTask = null;
+            this.recordTaskChange(task.isCompleted ? 'Reopen task' : 'Complete task', [taskId], () => {
+                task.toggleCompletion();
+
+                // Completing a repeating task schedules its next occurrence
+                if (task.isCompleted && task.recurrence) {
+                    nextTask = this.scheduleNextOccurrence(task);
+                }
+            });
+
+            this.saveTasks(nextTask ? [nextTask, task] : [task]);
+            this.applyFilters();
+            this.updateProgress();
+
+            if (nextTask) {
+                this.showNotification(`Next occurrence due ${nextTask.getFormattedDueDate()}`, 'info');
+            }
+        }
+    }
+
+    /**
+     * Tasks that `task` waits for and that are still open. Links to
+     * tasks that no longer exist or sit in the trash are ignored.
+     */
+    getOpenBlockers(task) {
+        return task.blockedBy
+            .map(id => this.tasks.find(t => t.id === id))
+            .filter(blocker => blocker && !blocker.isCompleted && !blocker.deletedAt);
+    }
+
+    /**
+     * An open task that still waits for another open task
+     */
+    isBlocked(task) {
+        return !task.isCompleted && this.getOpenBlockers(task).length > 0;
+    }
+
+    /**
+     * Whether making `taskId` wait for `blockerId` would close a loop,
+     * i.e. the blocker already waits (directly or not) for the task.
+     * Looks at the current tasks unless given another list.
+     */
+    wouldCreateCycle(taskId, blockerId, tasks = this.tasks) {
+        const byId = new Map(tasks.map(task => [task.id, task]));
+        const seen = new Set();
+        const stack = [blockerId];
+        while (stack.length > 0) {
+            const id = stack.pop();
+            if (id === taskId) return true;
+            if (seen.has(id)) continue;
+            seen.add(id);
+            if (byId.has(id)) stack.push(...byId.get(id).blockedBy);
+        }
+        return false;
+    }
+
+    /**
+     * Check a task's new list of blockers. Returns an error message or null.
+     */
+    validateBlockers(taskId, blockerIds) {
+        for (const id of blockerIds) {
+            const blocker = this.tasks.find(task => task.id === id);
+            if (!blocker) return 'A blocking task no longer exists';
+            if (id === taskId) return 'A task cannot block itself';
+            if (this.wouldCreateCycle(taskId, id)) return `"${blocker.title}" already waits for this task`;
+        }
+        return null;
+    }
+
+    /**
+     * Ask before completing a task whose blockers are still open.
+     * Returns true if it may go ahead.
+     */
+    confirmCompleteBlocked(task) {
+        const blockers = this.getOpenBlockers(task);
+        if (blockers.length === 0) return true;
+        const names = blockers.map(blocker => `"${blocker.title}"`).join(', ');
+        return confirm(`"${task.title}" is still blocked by ${names}. Complete it anyway?`);
+    }
+
+    /**
+     * Ids of other tasks that wait for any of the given tasks
+     */
+    getDependentIds(taskIds) {
+        const ids = new Set(taskIds);
+        return this.tasks
+            .filter(task => !ids.has(task.id) && task.blockedBy.some(id => ids.has(id)))
+            .map(task => task.id);
+    }
+
+    /**
+     * Drop links to deleted tasks. Call inside the recordTaskChange that
+     * deletes them; returns the tasks it changed.
+     */
+    removeDependencyLinks(taskIds) {
+        const ids = new Set(taskIds);
+        const changed = this.tasks.filter(task => task.blockedBy.some(id => ids.has(id)));
+        changed.forEach(task => task.updateBlockedBy(task.blockedBy.filter(id => !ids.has(id))));
+        return changed;
+    }
+
+    /**
+     * Insert the next occurrence of a recurring task just before it
+     */
+    scheduleNextOccurrence(task) {
+        // Reopened and completed again: the next occurrence already exists
+        if (task.nextOccurrenceId && this.tasks.some(t => t.id === task.nextOccurrenceId)) return null;
+        task.nextOccurrenceId = null;
+
+        const nextTask = task.createNextOccurrence();
+        if (!nextTask) return null;
+        const index = this.tasks.indexOf(task);
+        this.tasks.splice(index, 0, nextTask);
+        return nextTask;
+    }
+
+    /**
+     * Snapshot a task's data and position, or null if it doesn't exist
+     */
+    snapshotTask(taskId) {
+        const index = this.tasks.findIndex(task => task.id === taskId);
+        return index === -1 ? null : { index, data: this.tasks[index].toJSON() };
+    }
+
+    /**
+     * Run a mutation of this.tasks and record it as an undoable command.
+     * `taskIds` are the existing tasks it may change or remove; tasks it
+     * adds are picked up automatically. Returns the mutation's result.
+     */
+    recordTaskChange(label, taskIds, mutate) {
+        const beforeIds = new Set(this.tasks.map(task => task.id));
+        const before = new Map(taskIds.map(id => [id, this.snapshotTask(id)]));
+
+        const result = mutate();
+
+        this.tasks.forEach(task => {
+            if (!beforeIds.has(task.id)) before.set(task.id, null);
+        });
+        const after = new Map([...before.keys()].map(id => [id, this.snapshotTask(id)]));
+        // Positions only mean something when no task was added or removed
+        const reordered = this.tasks.length === beforeIds.size;
+
+        const changed = [...before.keys()].some(id => JSON.stringify(before.get(id)) !== JSON.stringify(after.get(id)));
+        if (changed) {
+            this.history.push({
+                label,
+                execute: () => {
+                    this.restoreTaskSnapshots(after);
+                    this.logTaskActivity(`Redo: ${label}`, before, after, reordered);
+                },
+                undo: () => {
+                    this.restoreTaskSnapshots(before);
+                    this.logTaskActivity(`Undo: ${label}`, after, before, reordered);
+                }
+            });
+            this.logTaskActivity(label, before, after, reordered);
+        }
+        return result;
+    }
+
+    /**
+     * Put tasks back to recorded snapshots (null = task absent) and persist
+     */
+    restoreTaskSnapshots(snapshots) {
+        const ids = [...snapshots.keys()];
+        this.tasks = this.tasks.filter(task => !snapshots.has(task.id));
+
+        const restored = ids
+            .filter(id => snapshots.get(id))
+            .map(id => snapshots.get(id))
+            .sort((a, b) => a.index - b.index)
+            .map(snapshot => {
+                const task = Task.fromJSON(snapshot.data);
+                this.tasks.splice(Math.min(snapshot.index, this.tasks.length), 0, task);
+                return task;
+            });
+
+        ids.forEach(id => {
+            if (!snapshots.get(id)) this.expandedTasks.delete(id);
+        });
+        this.saveTasks(restored);
+        this.applyFilters();
+        this.updateProgress();
+        this.startReminderScheduler();
+    }
+
+    /**
+     * Run a change to the groups list and record it as undoable
+     */
+    recordGroupChange(label, mutate) {
+        const snapshot = () => ({
+            groups: this.userStore.getCurrentUserGroups().slice(),
+            settings: JSON.parse(JSON.stringify(this.userStore.getGroupSettings()))
+        });
+        const before = snapshot();
+        const result = mutate();
+        const after = snapshot();
+
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+            const restore = (state) => {
+                this.userStore.setGroups(state.groups, state.settings);
+                this.loadGroups();
+                this.updateGroupDropdown();
+            };
+            this.history.push({ label, execute: () => restore(after), undo: () => restore(before) });
+        }
+        return result;
+    }
+
+    /**
+     * Task fields the activity log tracks, with their display names
+     */
+    static get ACTIVITY_FIELDS() {
+        return {
+            title: 'Title',
+            status: 'Status',
+            priority: 'Priority',
+            group: 'Group',
+            tags: 'Tags',
+            dueDate: 'Due date',
+            dueTime: 'Due time',
+            recurrence: 'Repeat',
+            reminders: 'Reminders',
+            description: 'Notes',
+            subtasks: 'Checklist',
+            blockedBy: 'Blocked by',
+            archivedAt: 'Archived',
+            deletedAt: 'In trash',
+            position: 'Position'
+        };
+    }
+
+    /**
+     * Append one activity entry for each task a recorded change created,
+     * edited or deleted, with before/after values of the changed fields
+     */
+    logTaskActivity(label, before, after, reordered = false) {
+        const user = this.userStore.getCurrentUser();
+        const at = new Date().toISOString();
+        const entries = [];
+        before.forEach((snapshot, taskId) => {
+            const next = after.get(taskId);
+            if (!snapshot && !next) return;
+            const action = !snapshot ? 'create' : (!next ? 'delete' : 'update');
+            const changes = action === 'update' ? this.diffTaskSnapshots(snapshot, next, reordered) : [];
+            if (action === 'update' && changes.length === 0) return;
+            entries.push({
+                id: `activity_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 5)}`,
+                at,
+                user: user ? user.username : null,
+                label,
+                action,
+                taskId,
+                title: (next || snapshot).data.title,
+                changes
+            });
+        });
+        if (entries.length === 0) return;
+
+        this.userStore.appendActivity(entries);
+        this.renderActivityFeed();
+    }
+
+    /**
+     * Field-level differences between two snapshots of one task
+     */
+    diffTaskSnapshots(before, after, reordered) {
+        const changes = Object.keys(TaskManager.ACTIVITY_FIELDS)
+            .filter(field => field !== 'position')
+            .filter(field => JSON.stringify(before.data[field]) !== JSON.stringify(after.data[field]))
+            .map(field => ({
+                field,
+                from: this.summarizeActivityValue(field, before.data[field]),
+                to: this.summarizeActivityValue(field, after.data[field])
+            }));
+        if (reordered && before.index !== after.index) {
+            changes.push({ field: 'position', from: String(before.index + 1), to: String(after.index + 1) });
+        }
+        return changes;
+    }
+
+    /**
+     * Short text form of a field's value for the log (null when empty).
+     * Long values are cut so the log stays small.
+     */
+    summarizeActivityValue(field, value) {
+        if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) return null;
+
+        let text;
+        if (field === 'subtasks') {
+            text = `${value.filter(subtask => subtask.isCompleted).length}/${value.length} done`;
+        } else if (field === 'status') {
+            const column = this.getBoardColumns().find(col => col.id === value);
+            text = column ? column.name : value;
+        } else if (field === 'tags') {
+            text = value.map(tag => `#${tag}`).join(' ');
+        } else if (field === 'reminders') {
+            text = value.map(offset => this.formatReminderOffset(offset)).join(', ');
+        } else if (field === 'blockedBy') {
+            text = value.map(id => {
+                const task = this.tasks.find(t => t.id === id);
+                return task ? task.title : 'a deleted task';
+            }).join(', ');
+        } else if (field === 'recurrence') {
+            const rule = RecurrenceRule.parse(value);
+            text = rule ? rule.describe() : value;
+        } else if (field === 'archivedAt' || field === 'deletedAt') {
+            text = `since ${new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+        } else {
+            text = String(value);
+        }
+        return text.length > 120 ? `${text.slice(0, 119)}\u2026` : text;
+    }
+
+    /**
+     * HTML for one log entry; the feed also names the task
+     */
+    renderActivityEntry(entry, showTitle) {
+        const when = new Date(entry.at).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+        const icons = { create: 'fa-plus', update: 'fa-pen', delete: 'fa-trash' };
+        // Trashed tasks can't be edited, so they get no link
+        const exists = this.tasks.some(task => task.id === entry.taskId && !task.deletedAt);
+        const value = text => text === null ? '<em>none</em>' : this.escapeHtml(text);
+        return `
+            <li class="activity-entry activity-${entry.action}" data-task-id="${this.escapeHtml(entry.taskId)}">
+                <i class="fas ${icons[entry.action] || 'fa-pen'} activity-icon"></i>
+                <div class="activity-body">
+                    <div class="activity-summary">
+                        <strong>${this.escapeHtml(entry.label)}</strong>
+                        ${showTitle ? (exists
+                            ? `<button type="button" class="activity-task" title="Open task">${this.escapeHtml(entry.title)}</button>`
+                            : `<span class="activity-task">${this.escapeHtml(entry.title)}</span>`) : ''}
+                    </div>
+                    ${entry.changes.length > 0 ? `
+                        <ul class="activity-changes">
+                            ${entry.changes.map(change => `
+                                <li>${TaskManager.ACTIVITY_FIELDS[change.field] || this.escapeHtml(change.field)}:
+                                    <del>${value(change.from)}</del> &rarr; <ins>${value(change.to)}</ins></li>
+                            `).join('')}
+                        </ul>
+                    ` : ''}
+                    <time class="activity-time" datetime="${this.escapeHtml(entry.at)}">${when}${entry.user ? ` by ${this.escapeHtml(entry.user)}` : ''}</time>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * Timeline of one task's changes, newest first, in the editor
+     */
+    renderTaskHistory(taskId) {
+        const list = document.getElementById('editor-history-list');
+        const count = document.getElementById('editor-history-count');
+        if (!list) return;
+
+        const entries = this.userStore.getActivity().filter(entry => entry.taskId === taskId).reverse();
+        count.textContent = entries.length;
+        list.innerHTML = entries.length > 0
+            ? entries.map(entry => this.renderActivityEntry(entry, false)).join('')
+            : '<li class="activity-empty">No changes recorded yet</li>';
+    }
+
+    /**
+     * Dashboard feed: the latest few changes, and the full log in its dialog
+     */
+    renderActivityFeed() {
+        const recent = document.getElementById('activity-recent');
+        const log = this.userStore.getActivity();
+        if (recent) {
+            recent.innerHTML = log.length > 0
+                ? log.slice(-TaskManager.ACTIVITY_RECENT_COUNT).reverse().map(entry => this.renderActivityEntry(entry, true)).join('')
+                : '<li class="activity-empty">No activity yet</li>';
+        }
+
+        const modal = document.getElementById('activity-modal');
+        if (modal && modal.style.display === 'flex') {
+            document.getElementById('activity-list').innerHTML = log.length > 0
+                ? log.slice().reverse().map(entry => this.renderActivityEntry(entry, true)).join('')
+                : '<li class="activity-empty">No activity yet</li>';
+            document.getElementById('activity-retention').textContent =
+                `Keeps the last ${UserStore.ACTIVITY_MAX_ENTRIES} changes from the past ${UserStore.ACTIVITY_MAX_AGE_DAYS} days.`;
+        }
+    }
+
+    /**
+     * Entries shown in the dashboard feed
+     */
+    static get ACTIVITY_RECENT_COUNT() {
+        return 3;
+    }
+
+    openActivityLog() {
+        const modal = document.getElementById('activity-modal');
+        if (!modal) return;
+        modal.style.display = 'flex';
+        this.renderActivityFeed();
+        modal.querySelector('.modal-close').focus();
+    }
+
+    closeActivityLog() {
+        const modal = document.getElementById('activity-modal');
+        if (modal) modal.style.display = 'none';
+    }
+
+    /**
+     * Clicking a task name in the feed opens that task
+     */
+    handleActivityClick(e) {
+        const button = e.target.closest('.activity-task');
+        if (!button || button.tagName !== 'BUTTON') return;
+        this.closeActivityLog();
+        this.openTaskEditor(button.closest('.activity-entry').dataset.taskId);
+    }
+
+    /**
+     * Undo the latest change
+     */
+    undo() {
+        const command = this.history.undo();
+        this.showNotification(command ? `Undone: ${command.label}` : 'Nothing to undo', 'info');
+    }
+
+    /**
+     * Notification options for an "Undo" button tied to the change just
+     * recorded. It only reverts that change, and is disabled as soon as
+     * another change is made or undone after it.
+     */
+    undoAction() {
+        const command = this.history.peek();
+        const available = () => command !== null && this.history.peek() === command;
+        return {
+            actionLabel: 'Undo',
+            isActionAvailable: available,
+            onAction: () => {
+                if (available()) this.undo();
+            }
+        };
+    }
+
+    /**
+     * Redo the latest undone change
+     */
+    redo() {
+        const command = this.history.redo();
+        this.showNotification(command ? `Redone: ${command.label}` : 'Nothing to redo', 'info');
+    }
+
+    /**
+     * Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z (or Ctrl+Y) redoes. Text fields
+     * keep their native undo.
+     */
+    handleHistoryShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        if (!this.userStore.isUnlocked()) return;
+
+        const target = e.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            this.undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            this.redo();
+        }
+    }
+
+    /**
+     * Handle task click events
+     */
+    handleTaskClick(e) {
+        const taskCard = e.target.closest('.task-card');
+        if (!taskCard) return;
+
+        const taskId = taskCard.dataset.taskId;
+        const subtaskItem = e.target.closest('.subtask-item');
+
+        // A trashed task is read-only until it is restored
+        if (taskCard.classList.contains('trashed')) {
+            if (e.target.closest('.btn-restore')) {
+                this.restoreTask(taskId);
+            } else if (e.target.closest('.btn-delete-forever')) {
+                this.deleteTaskForever(taskId);
+            } else if (e.target.closest('.task-notes-toggle')) {
+                this.toggleNotesPreview(taskId);
+            }
+            return;
+        }
+
+        // Selection: the card's checkbox, or a Ctrl/Cmd- or Shift-click outside its controls
+        const onControl = e.target.closest('button, a, input, select, textarea, form, .task-checkbox');
+        if (e.target.classList.contains('task-select') || (!onControl && (e.ctrlKey || e.metaKey || e.shiftKey))) {
+            if (e.shiftKey && this.selectionAnchor) {
+                this.selectTaskRange(taskCard, taskId);
+            } else {
+                this.toggleTaskSelection(taskId);
+            }
+            return;
+        }
+
+        if (subtaskItem) {
+            const subtaskId = subtaskItem.dataset.subtaskId;
+            if (e.target.classList.contains('subtask-checkbox')) {
+                this.toggleSubtask(taskId, subtaskId);
+            } else if (e.target.closest('.subtask-up')) {
+                this.moveSubtask(taskId, subtaskId, -1);
+            } else if (e.target.closest('.subtask-down')) {
+                this.moveSubtask(taskId, subtaskId, 1);
+            } else if (e.target.closest('.subtask-remove')) {
+                this.removeSubtask(taskId, subtaskId);
+            }
+        } else if (e.target.classList.contains('task-checkbox')) {
+            this.toggleTaskCompletion(taskId);
+        } else if (e.target.closest('.task-subtask-toggle')) {
+            this.toggleSubtaskPanel(taskId);
+        } else if (e.target.closest('.task-notes-toggle')) {
+            this.toggleNotesPreview(taskId);
+        } else if (e.target.matches('.task-notes-preview input[type="checkbox"]')) {
+            this.toggleNoteCheckbox(taskId, Number(e.target.dataset.checkbox));
+        } else if (e.target.closest('.tag-chip')) {
+            this.toggleTagFilter(e.target.closest('.tag-chip').dataset.tag);
+        } else if (e.target.closest('.btn-edit')) {
+            this.openTaskEditor(taskId);
+        } else if (e.target.closest('.btn-archive')) {
+            this.toggleTaskArchived(taskId);
+        } else if (e.target.closest('.btn-delete')) {
+            this.deleteTask(taskId);
+        }
+    }
+
+    /**
+     * Add a task to the selection, or take it out
+     */
+    toggleTaskSelection(taskId) {
+        if (this.selectedTasks.has(taskId)) {
+            this.selectedTasks.delete(taskId);
+        } else {
+            this.selectedTasks.add(taskId);
+        }
+        this.selectionAnchor = taskId;
+        this.updateSelectionUi();
+    }
+
+    /**
+     * Select every card between the last clicked one and `taskId`, in the
+     * order they are shown (list or board)
+     */
+    selectTaskRange(taskCard, taskId) {
+        const container = taskCard.closest('#task-list, #task-board') || document;
+        const ids = [...container.querySelectorAll('.task-card:not(.trashed)')].map(card => card.dataset.taskId);
+        const from = ids.indexOf(this.selectionAnchor);
+        const to = ids.indexOf(taskId);
+        if (from === -1 || to === -1) return this.toggleTaskSelection(taskId);
+        ids.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(id => this.selectedTasks.add(id));
+        this.updateSelectionUi();
+    }
+
+    /**
+     * Select every task in the current view (except trashed ones)
+     */
+    selectAllTasks() {
+        this.filteredTasks.filter(task => !task.deletedAt).forEach(task => this.selectedTasks.add(task.id));
+        this.updateSelectionUi();
+    }
+
+    clearSelection() {
+        this.selectedTasks.clear();
+        this.selectionAnchor = null;
+        this.updateSelectionUi();
+    }
+
+    /**
+     * Selected tasks in list order
+     */
+    getSelectedTasks() {
+        return this.tasks.filter(task => this.selectedTasks.has(task.id) && !task.deletedAt);
+    }
+
+    /**
+     * Mark selected cards and refresh the bulk bar without re-rendering the list
+     */
+    updateSelectionUi() {
+        document.querySelectorAll('.task-card[data-task-id]').forEach(card => {
+            const selected = this.selectedTasks.has(card.dataset.taskId);
+            card.classList.toggle('selected', selected);
+            const checkbox = card.querySelector('.task-select');
+            if (checkbox) checkbox.checked = selected;
+        });
+        this.renderBulkBar();
+    }
+
+    /**
+     * Show the bulk action bar while tasks are selected
+     */
+    renderBulkBar() {
+        const bar = document.getElementById('bulk-bar');
+        if (!bar) return;
+        const count = this.selectedTasks.size;
+        bar.style.display = count > 0 ? 'flex' : 'none';
+        document.getElementById('bulk-count').textContent = `${count} selected`;
+    }
+
+    /**
+     * Esc clears the selection, unless a dialog or text field has the key
+     */
+    handleSelectionShortcut(e) {
+        if (e.key !== 'Escape' || this.selectedTasks.size === 0) return;
+        const target = e.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+        if (target && target.closest && target.closest('.modal-overlay')) return;
+        this.clearSelection();
+    }
+
+    handleBulkAction(action) {
+        switch (action) {
+            case 'complete': return this.bulkSetCompleted(true);
+            case 'reopen': return this.bulkSetCompleted(false);
+            // A due time means nothing without a date, as in the editor
+            case 'clear-due': return this.bulkUpdateTasks('Clear due date', { dueDate: null, dueTime: null });
+            case 'archive': return this.bulkArchive();
+            case 'delete': return this.bulkDelete();
+            case 'select-all': return this.selectAllTasks();
+            case 'clear': return this.clearSelection();
+        }
+    }
+
+    /**
+     * The bar's priority, group and due date pickers act as soon as a value is chosen
+     */
+    handleBulkFieldChange(field) {
+        if (field.id === 'bulk-priority' && field.selectedIndex > 0) {
+            this.bulkUpdateTasks('Change priority', { priority: field.value });
+            field.selectedIndex = 0;
+        } else if (field.id === 'bulk-group' && field.selectedIndex > 0) {
+            if (field.value && !this.groups.includes(field.value)) return;
+            this.bulkUpdateTasks('Move to group', { group: field.value });
+            field.selectedIndex = 0;
+        } else if (field.id === 'bulk-due' && field.value) {
+            if (!Task.isValidDate(field.value)) return;
+            this.bulkUpdateTasks('Set due date', { dueDate: field.value });
+            field.value = '';
+        }
+    }
+
+    /**
+     * Run one change over all selected tasks as a single undo step, then
+     * save and render once. `apply(task)` returns false for tasks it
+     * leaves alone. Returns the tasks it changed.
+     */
+    applyBulkChange(label, apply) {
+        const selected = this.getSelectedTasks();
+        if (selected.length === 0) return [];
+        const beforeIds = new Set(this.tasks.map(task => task.id));
+        const changed = this.recordTaskChange(label, selected.map(task => task.id), () => selected.filter(task => apply(task) !== false));
+        // e.g. next occurrences of completed repeating tasks
+        const added = this.tasks.filter(task => !beforeIds.has(task.id));
+        if (changed.length === 0 && added.length === 0) {
+            this.showNotification('Nothing to change in the selected tasks', 'info');
+            return changed;
+        }
+        this.saveTasks([...added, ...changed]);
+        this.applyFilters();
+        this.updateProgress();
+        return changed;
+    }
+
+    /**
+     * Notification for a finished bulk action, with Undo
+     */
+    notifyBulkChange(changed, message) {
+        if (changed.length === 0) return;
+        const tasks = `${changed.length} ${changed.length === 1 ? 'task' : 'tasks'}`;
+        this.showNotification(message.replace('{tasks}', tasks), 'success', this.undoAction());
+    }
+
+    /**
+     * Set the same priority, group or due date on every selected task
+     */
+    bulkUpdateTasks(label, updates) {
+        const fields = Object.keys(updates);
+        const changed = this.applyBulkChange(label, task => {
+            if (fields.every(field => task[field] === updates[field])) return false;
+            this.applyTaskUpdates(task, updates);
+        });
+        if (updates.dueDate !== undefined) this.startReminderScheduler();
+        this.notifyBulkChange(changed, `${label}: {tasks} updated`);
+    }
+
+    /**
+     * Complete or reopen every selected task. Completing asks once if some
+     * are still blocked, and schedules repeating tasks' next occurrences.
+     */
+    bulkSetCompleted(completed) {
+        if (completed) {
+            const blocked = this.getSelectedTasks().filter(task => this.isBlocked(task));
+            if (blocked.length > 0 && !confirm(`${blocked.length} of the selected tasks ${blocked.length === 1 ? 'is' : 'are'} still blocked. Complete them anyway?`)) return;
+        }
+        const changed = this.applyBulkChange(completed ? 'Complete tasks' : 'Reopen tasks', task => {
+            if (task.isCompleted === completed) return false;
+            task.setStatus(completed ? Task.STATUS_DONE : Task.STATUS_TODO);
+            if (completed && task.recurrence) this.scheduleNextOccurrence(task);
+        });
+        this.notifyBulkChange(changed, completed ? '{tasks} completed' : '{tasks} reopened');
+    }
+
+    /**
+     * Archive the selected tasks that are completed; open ones stay put
+     */
+    bulkArchive() {
+        const skipped = this.getSelectedTasks().filter(task => !task.isCompleted).length;
+        const changed = this.applyBulkChange('Archive tasks', task => task.archive());
+        this.notifyBulkChange(changed, skipped > 0 ? `{tasks} archived, ${skipped} still open left on the list` : '{tasks} archived');
+    }
+
+    /**
+     * Move every selected task to the trash
+     */
+    bulkDelete() {
+        const changed = this.applyBulkChange('Move tasks to trash', task => task.moveToTrash());
+        changed.forEach(task => this.expandedTasks.delete(task.id));
+        this.notifyBulkChange(changed, '{tasks} moved to trash');
+    }
+
+    /**
+     * Show or hide a card's checklist
+     */
+    toggleSubtaskPanel(taskId) {
+        if (this.expandedTasks.has(taskId)) {
+            this.expandedTasks.delete(taskId);
+        } else {
+            this.expandedTasks.add(taskId);
+        }
+        this.render();
+        if (this.expandedTasks.has(taskId)) {
+            const input = document.querySelector(`.task-card[data-task-id="${taskId}"] .subtask-input`);
+            if (input) input.focus();
+        }
+    }
+
+    /**
+     * Show or hide a card's rendered notes
+     */
+    toggleNotesPreview(taskId) {
+        if (this.expandedNotes.has(taskId)) {
+            this.expandedNotes.delete(taskId);
+        } else {
+            this.expandedNotes.add(taskId);
+        }
+        this.render();
+    }
+
+    /**
+     * Tick or untick a "- [ ]" item in a task's notes from the card
+     */
+    toggleNoteCheckbox(taskId, index) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+        this.updateTask(taskId, { description: Markdown.toggleCheckbox(task.description, index) });
+    }
+
+    /**
+     * Handle the "add checklist item" form inside a card
+     */
+    handleSubtaskSubmit(e) {
+        const form = e.target.closest('.subtask-add-form');
+        if (!form) return;
+        e.preventDefault();
+
+        const taskId = form.dataset.taskId;
+        const input = form.querySelector('.subtask-input');
+        if (!input.value.trim()) return;
+        this.addSubtask(taskId, input.value);
+
+        const newInput = document.querySelector(`.task-card[data-task-id="${taskId}"] .subtask-input`);
+        if (newInput) newInput.focus();
+    }
+
+    /**
+     * Add a checklist item to a task
+     */
+    addSubtask(taskId, title) {
+        const task = this.tasks.find(task => task.id === taskId);
+        if (task && this.recordTaskChange('Add checklist item', [taskId], () => task.addSubtask(title))) {
+            this.expandedTasks.add(taskId);
+            this.saveTasks([task]);
+            this.applyFilters();
+            this.updateProgress();
+        }
+    }
+
+    /**
+     * Toggle a checklist item
+     */
+    toggleSubtask(taskId, subtaskId) {
+        const task = this.tasks.find(task => task.id === taskId);
+        if (task && this.recordTaskChange('Toggle checklist item', [taskId], () => task.toggleSubtask(subtaskId))) {
+            this.saveTasks([task]);
+            this.applyFilters();
+            this.updateProgress();
+        }
+    }
+
+    /**
+     * Remove a checklist item
+     */
+    removeSubtask(taskId, subtaskId) {
+        const task = this.tasks.find(task => task.id === taskId);
+        if (task && this.recordTaskChange('Remove checklist item', [taskId], () => task.removeSubtask(subtaskId))) {
+            this.saveTasks([task]);
+            this.applyFilters();
+            this.updateProgress();
+        }
+    }
+
+    /**
+     * Move a checklist item up (-1) or down (+1)
+     */
+    moveSubtask(taskId, subtaskId, direction) {
+        const task = this.tasks.find(task => task.id === taskId);
+        if (!task) return;
+        const index = task.subtasks.findIndex(s => s.id === subtaskId);
+        if (this.recordTaskChange('Reorder checklist', [taskId], () => task.moveSubtask(subtaskId, index + direction))) {
+            this.saveTasks([task]);
+            this.applyFilters();
+        }
+    }
+
+    /**
+     * Handle task double-click for inline editing
+     */
+    handleTaskDoubleClick(e) {
+        const taskCard = e.target.closest('.task-card');
+        if (taskCard && e.target.closest('.task-title')) {
+            const taskId = taskCard.dataset.taskId;
+            this.startInlineEdit(taskCard, taskId);
+        }
+    }
+
+    /**
+     * Start inline editing of task title
+     */
+    startInlineEdit(taskCard, taskId) {
+        const titleElement = taskCard.querySelector('.task-title');
+        const currentTitle = titleElement.textContent;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = currentTitle;
+        input.className = 'task-title-edit';
+        input.maxLength = 100;
+
+        titleElement.style.display = 'none';
+        titleElement.parentNode.insertBefore(input, titleElement);
+
+        input.focus();
+        input.select();
+
+        const finishEdit = () => {
+            const newTitle = input.value.trim();
+            if (newTitle && newTitle !== currentTitle) {
+                this.updateTask(taskId, { title: newTitle });
+            }
+            input.remove();
+            titleElement.style.display = 'block';
+        };
+
+        input.addEventListener('blur', finishEdit);
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finishEdit();
+            } else if (e.key === 'Escape') {
+                input.remove();
+                titleElement.style.display = 'block';
+            }
+        });
+    }
+
+    /**
+     * Close a dialog on Escape, a click on its backdrop or a [data-close-modal] button
+     */
+    bindModal(modal, onClose) {
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal || e.target.closest('[data-close-modal]')) {
+                onClose();
+            }
+        });
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                onClose();
+            }
+        });
+    }
+
+    /**
+     * Open the editor dialog for a task
+     */
+    openTaskEditor(taskId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        const modal = document.getElementById('task-editor-modal');
+        const form = document.getElementById('task-editor-form');
+        if (!task || task.deletedAt || !modal || !form) return;
+
+        const field = name => form.elements.namedItem(name);
+        form.dataset.taskId = taskId;
+        field('title').value = task.title;
+        field('description').value = task.description || '';
+        this.showNotesPreview(form, false);
+        field('priority').value = task.priority;
+        field('dueDate').value = task.dueDate || '';
+        field('dueTime').value = task.dueTime || '';
+
+        // Keep the task's group selectable even if it was removed from the list
+        const groupSelect = field('group');
+        groupSelect.innerHTML = '<option value="">No Group</option>';
+        const groups = this.getGroupTree();
+        if (task.group && !this.groups.includes(task.group)) groups.push({ group: task.group, depth: 0 });
+        groups.forEach(({ group, depth }) => {
+            const option = document.createElement('option');
+            option.value = group;
+            option.textContent = this.getGroupOptionLabel(group, depth);
+            groupSelect.appendChild(option);
+        });
+        groupSelect.value = task.group || '';
+        field('tags').value = task.tags.join(', ');
+        this.editorBlockers = task.blockedBy.filter(id => this.tasks.some(t => t.id === id));
+        this.renderEditorBlockers();
+        this.renderTaskHistory(taskId);
+        form.querySelector('.editor-history').open = false;
+
+        form.querySelectorAll('.reminder-offset').forEach(box => {
+            box.checked = task.reminders.includes(Number(box.value));
+        });
+        this.fillRepeatForm(form, task.recurrence);
+
+        this.editorReturnFocus = document.activeElement;
+        modal.style.display = 'flex';
+        field('title').focus();
+    }
+
+    /**
+     * Switch the editor's notes between the text box and a rendered preview
+     */
+    showNotesPreview(form, preview) {
+        const textarea = form.elements.namedItem('description');
+        const output = form.querySelector('.editor-notes-preview');
+        const button = form.querySelector('.editor-notes-preview-btn');
+        output.innerHTML = preview
+            ? Markdown.render(textarea.value) || '<p class="editor-notes-empty">Nothing to preview</p>'
+            : '';
+        output.hidden = !preview;
+        textarea.hidden = preview;
+        button.setAttribute('aria-pressed', String(preview));
+        button.innerHTML = preview ? '<i class="fas fa-pen"></i> Write' : '<i class="fas fa-eye"></i> Preview';
+    }
+
+    /**
+     * Show the editor's blocking tasks, and offer every other task that
+     * can be added without creating a loop
+     */
+    renderEditorBlockers() {
+        const form = document.getElementById('task-editor-form');
+        const taskId = form.dataset.taskId;
+        const list = document.getElementById('editor-blocker-list');
+        const select = document.getElementById('editor-blocker-add');
+
+        // A blocker purged from the trash while the editor is open is gone
+        this.editorBlockers = this.editorBlockers.filter(id => this.tasks.some(task => task.id === id));
+        list.innerHTML = this.editorBlockers.map(id => {
+            const blocker = this.tasks.find(task => task.id === id);
+            return `
+                <li class="blocker-item ${blocker.isCompleted ? 'completed' : ''}">
+                    <i class="fas ${blocker.isCompleted ? 'fa-check' : 'fa-lock'}"></i>
+                    <span class="blocker-title">${this.escapeHtml(blocker.title)}</span>
+                    <button type="button" data-blocker-id="${this.escapeHtml(blocker.id)}" title="Remove dependency"><i class="fas fa-times"></i></button>
+                </li>
+            `;
+        }).join('');
+
+        select.innerHTML = '<option value="">Add a task this one waits for...</option>';
+        this.tasks
+            .filter(task => !task.deletedAt && task.id !== taskId && !this.editorBlockers.includes(task.id) && !this.wouldCreateCycle(taskId, task.id))
+            .forEach(task => {
+                const option = document.createElement('option');
+                option.value = task.id;
+                option.textContent = task.isCompleted ? `${task.title} (done)` : task.title;
+                select.appendChild(option);
+            });
+        select.value = '';
+    }
+
+    /**
+     * Close the editor dialog without saving
+     */
+    closeTaskEditor() {
+        const modal = document.getElementById('task-editor-modal');
+        const form = document.getElementById('task-editor-form');
+        if (!modal || modal.style.display === 'none') return;
+
+        modal.style.display = 'none';
+        delete form.dataset.taskId;
+        if (this.editorReturnFocus && document.contains(this.editorReturnFocus)) {
+            this.editorReturnFocus.focus();
+        }
+        this.editorReturnFocus = null;
+    }
+
+    /**
+     * Save the editor dialog's fields to its task
+     */
+    handleTaskEditorSubmit(e) {
+        e.preventDefault();
+
+        const form = e.target;
+        const taskId = form.dataset.taskId;
+        if (!this.tasks.some(t => t.id === taskId)) {
+            this.closeTaskEditor();
+            return;
+        }
+
+        const values = this.readTaskForm(form);
+        const error = this.validateTaskInput(values);
+        if (error) {
+            this.showNotification(error.message, 'error');
+            if (error.field && form.elements.namedItem(error.field)) {
+                form.elements.namedItem(error.field).focus();
+            }
+            return;
+        }
+        const blockerError = this.validateBlockers(taskId, this.editorBlockers);
+        if (blockerError) {
+            this.showNotification(blockerError, 'error');
+            this.renderEditorBlockers();
+            return;
+        }
+
+        this.updateTask(taskId, {
+            title: values.title,
+            description: values.description,
+            priority: values.priority,
+            group: values.group,
+            tags: values.tags,
+            blockedBy: this.editorBlockers.slice(),
+            dueDate: values.dueDate,
+            dueTime: values.dueTime,
+            reminders: values.reminders,
+            recurrence: values.recurrence
+        });
+        if (values.reminders.length > 0) {
+            this.requestNotificationPermission();
+        }
+
+        this.closeTaskEditor();
+        this.showNotification('Task updated', 'success');
+    }
+
+    /**
+     * Apply filters and search
+     */
+    applyFilters() {
+        // The task list leaves out archived and trashed tasks unless one of those is open
+        let filtered = this.getBinTasks(this.currentFilter.bin);
+
+        console.log('Applying filters to', this.tasks.length, 'tasks');
+
+        // Filter by smart view date range
+        if (this.currentFilter.dateRange) {
+            const range = this.resolveDateRange(this.currentFilter.dateRange);
+            filtered = filtered.filter(task => this.matchesDateRange(task, range));
+        }
+
+        // Filter by status
+        if (this.currentFilter.status === 'active') {
+            filtered = filtered.filter(task => !task.isCompleted);
+        } else if (this.currentFilter.status === 'completed') {
+            filtered = filtered.filter(task => task.isCompleted);
+        } else if (this.currentFilter.status === 'ready') {
+            filtered = filtered.filter(task => !task.isCompleted && !this.isBlocked(task));
+        } else if (this.currentFilter.status === 'blocked') {
+            filtered = filtered.filter(task => this.isBlocked(task));
+        }
+
+        // Filter by priority
+        if (this.currentFilter.priority !== 'all') {
+            filtered = filtered.filter(task => task.priority === this.currentFilter.priority);
+        }
+
+        // Filter by group, including its sub-projects
+        if (this.currentFilter.group !== 'all') {
+            const groups = new Set(this.getGroupWithDescendants(this.currentFilter.group));
+            filtered = filtered.filter(task => groups.has(task.group));
+        }
+
+        // Filter by tags
+        const selectedTags = this.currentFilter.tags;
+        if (selectedTags.length > 0) {
+            filtered = this.currentFilter.tagMode === 'all'
+                ? filtered.filter(task => selectedTags.every(tag => task.tags.includes(tag)))
+                : filtered.filter(task => selectedTags.some(tag => task.tags.includes(tag)));
+        }
+
+        // Filter by search query; group: takes in sub-projects like the sidebar does
+        this.searchQuery = SearchQuery.parse(this.currentFilter.search).expandGroups(value => {
+            const group = this.groups.find(name => name.toLowerCase() === value);
+            return group ? this.getGroupWithDescendants(group) : [value];
+        });
+        this.showSearchErrors(this.searchQuery.errors);
+        if (this.searchQuery.clauses.length > 0) {
+            filtered = filtered.filter(task => this.searchQuery.matches(task));
+        }
+
+        // Sort tasks
+        filtered = this.sortTasks(filtered);
+
+        this.filteredTasks = filtered;
+        console.log('Final filtered tasks:', this.filteredTasks.length);
+
+        // Bulk actions only ever touch tasks the user can see
+        const visible = new Set(filtered.filter(task => !task.deletedAt).map(task => task.id));
+        this.selectedTasks.forEach(id => {
+            if (!visible.has(id)) this.selectedTasks.delete(id);
+        });
+        
+        this.updateSmartViewCounts();
+        this.updateBinCounts();
+        this.renderTagCloud();
+        this.render();
+    }
+
+    /**
+     * Built-in sidebar views, all expressed as a date range over one task
+     * field ('due' or 'completed'). Bounds are day offsets from today,
+     * 'now', or 'weekStart'/'weekEnd' (Sunday to Saturday, like the calendar).
+     * `empty` matches tasks without that date; `openOnly` skips completed tasks.
+     */
+    static get SMART_VIEWS() {
+        return {
+            today: { label: 'Today', field: 'due', from: 0, to: 0 },
+            overdue: { label: 'Overdue', field: 'due', from: null, to: 'now', openOnly: true },
+            tomorrow: { label: 'Tomorrow', field: 'due', from: 1, to: 1 },
+            week: { label: 'This Week', field: 'due', from: 'weekStart', to: 'weekEnd' },
+            next7: { label: 'Next 7 Days', field: 'due', from: 0, to: 6 },
+            noDueDate: { label: 'No Due Date', field: 'due', empty: true },
+            recent: { label: 'Recently Completed', field: 'completed', from: -6, to: 0 }
+        };
+    }
+
+    /**
+     * Turn a date range's relative bounds into Dates (or null when open-ended)
+     */
+    resolveDateRange(range, now = new Date()) {
+        const day = (offset, end) => end
+            ? new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset, 23, 59, 59, 999)
+            : new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+        const resolve = (bound, end) => {
+            if (bound === null || bound === undefined) return null;
+            if (bound === 'now') return now;
+            if (bound === 'weekStart') return day(-now.getDay(), end);
+            if (bound === 'weekEnd') return day(6 - now.getDay(), end);
+            return day(bound, end);
+        };
+        return {
+            field: range.field,
+            from: resolve(range.from, false),
+            to: resolve(range.to, true),
+            empty: !!range.empty,
+            openOnly: !!range.openOnly
+        };
+    }
+
+    /**
+     * Whether a task falls inside a resolved date range. All-day tasks count
+     * as due at the end of their day, so they are only overdue the day after.
+     */
+    matchesDateRange(task, range) {
+        if (range.openOnly && task.isCompleted) return false;
+
+        let date = null;
+        if (range.field === 'completed') {
+            date = task.completedAt ? new Date(task.completedAt) : null;
+        } else if (task.dueDate) {
+            date = task.dueTime
+                ? task.getDueDateTime()
+                : RecurrenceRule.parseDate(task.dueDate);
+            if (!task.dueTime) date.setHours(23, 59, 59, 999);
+        }
+
+        if (range.empty) return date === null;
+        if (date === null) return false;
+        if (range.from && date < range.from) return false;
+        if (range.to && date > range.to) return false;
+        return true;
+    }
+
+    /**
+     * Refresh the count badges next to the smart views. Each badge counts
+     * exactly what its view lists, completed tasks included unless the
+     * view is `openOnly`.
+     */
+    updateSmartViewCounts() {
+        const now = new Date();
+        this.smartViewNavs.forEach(item => {
+            const badge = item.querySelector('.nav-count');
+            const view = TaskManager.SMART_VIEWS[item.dataset.smartView];
+            if (!badge || !view) return;
+            const range = this.resolveDateRange(view, now);
+            const count = this.getLiveTasks().filter(task => this.matchesDateRange(task, range)).length;
+            badge.textContent = count;
+            badge.classList.toggle('empty', count === 0);
+        });
+    }
+
+    /**
+     * Sort tasks based on current sort option
+     */
+    sortTasks(tasks) {
+        const sortBy = this.currentFilter.sort;
+        
+        return tasks.sort((a, b) => {
+            switch (sortBy) {
+                case 'due-date-asc':
+                    if (!a.dueDate && !b.dueDate) return 0;
+                    if (!a.dueDate) return 1;
+                    if (!b.dueDate) return -1;
+                    return new Date(a.dueDate) - new Date(b.dueDate);
+                
+                case 'due-date-desc':
+                    if (!a.dueDate && !b.dueDate) return 0;
+                    if (!a.dueDate) return 1;
+                    if (!b.dueDate) return -1;
+                    return new Date(b.dueDate) - new Date(a.dueDate);
+                
+                case 'priority':
+                    const priorityOrder = { 'High': 3, 'Medium': 2, 'Low': 1 };
+                    return priorityOrder[b.priority] - priorityOrder[a.priority];
+                
+                case 'title':
+                    return a.title.localeCompare(b.title);
+                
+                case 'created':
+                default:
+                    return new Date(b.createdAt) - new Date(a.createdAt);
+            }
+        });
+    }
+
+    /**
+     * Render tasks to DOM
+     */
+    render() {
+        const taskList = document.getElementById('task-list');
+        const emptyState = document.getElementById('empty-state');
+
+        if (!taskList || !emptyState) {
+            console.error('Task list or empty state elements not found');
+            return;
+        }
+
+        console.log('Rendering tasks:', this.filteredTasks.length, 'filtered tasks');
+
+        const taskBoard = document.getElementById('task-board');
+        const taskCalendar = document.getElementById('task-calendar');
+        const showBoard = this.viewMode === 'board' && taskBoard;
+        if (taskBoard) taskBoard.style.display = 'none';
+        if (taskCalendar) taskCalendar.style.display = 'none';
+
+        this.renderBulkBar();
+
+        // The archive and the trash are always plain lists under a banner
+        this.renderBinBanner();
+        if (this.currentFilter.bin) {
+            emptyState.style.display = 'none';
+            taskList.style.display = 'grid';
+            taskList.innerHTML = this.filteredTasks.map(task => this.createTaskCard(task)).join('');
+            return;
+        }
+
+        // The calendar stays visible when empty so days can be clicked to add tasks
+        if (this.viewMode === 'calendar' && taskCalendar) {
+            taskList.style.display = 'none';
+            emptyState.style.display = 'none';
+            taskCalendar.style.display = 'block';
+            taskCalendar.innerHTML = this.createCalendar(this.filteredTasks);
+            return;
+        }
+
+        if (this.filteredTasks.length === 0) {
+            taskList.style.display = 'none';
+            emptyState.style.display = 'flex';
+            return;
+        }
+
+        emptyState.style.display = 'none';
+
+        if (showBoard) {
+            taskList.style.display = 'none';
+            taskBoard.style.display = 'flex';
+            taskBoard.innerHTML = this.createBoard(this.filteredTasks);
+        } else {
+            taskList.style.display = 'grid';
+            taskList.innerHTML = this.filteredTasks.map(task => this.createTaskCard(task)).join('');
+        }
+        
+        console.log('Tasks rendered successfully');
+    }
+
+    /**
+     * Show what the open archive or trash holds and its bulk action
+     */
+    renderBinBanner() {
+        const banner = document.getElementById('bin-banner');
+        if (!banner) return;
+        const bin = this.currentFilter.bin;
+        banner.style.display = bin ? 'flex' : 'none';
+        if (!bin) return;
+
+        const count = this.getBinTasks(bin).length;
+        const tasks = `${count} ${count === 1 ? 'task' : 'tasks'}`;
+        const title = document.getElementById('bin-banner-title');
+        const info = document.getElementById('bin-banner-info');
+        if (bin === 'trash') {
+            title.textContent = count > 0 ? `${tasks} in the trash.` : 'The trash is empty.';
+            info.textContent = `Tasks are deleted for good ${TaskManager.TRASH_RETENTION_DAYS} days after they were moved here.`;
+            this.binBannerBtn.innerHTML = '<i class="fas fa-trash-alt"></i> Empty Trash';
+            this.binBannerBtn.disabled = count === 0;
+        } else {
+            const completed = this.getLiveTasks().filter(task => task.isCompleted).length;
+            title.textContent = count > 0 ? `${tasks} archived.` : 'Nothing archived yet.';
+            info.textContent = 'Archived tasks are kept out of the task list and progress.';
+            this.binBannerBtn.innerHTML = '<i class="fas fa-archive"></i> Archive All Completed';
+            this.binBannerBtn.disabled = completed === 0;
+        }
+    }
+
+    /**
+     * Columns shipped with the board; To Do and Done can be renamed but not removed
+     */
+    static get DEFAULT_BOARD_COLUMNS() {
+        return [
+            { id: Task.STATUS_TODO, name: 'To Do' },
+            { id: 'in-progress', name: 'In Progress' },
+            { id: 'review', name: 'Review' },
+            { id: Task.STATUS_DONE, name: 'Done' }
+        ];
+    }
+
+    static get MAX_BOARD_COLUMNS() {
+        return 8;
+    }
+
+    /**
+     * The current user's board columns, in order
+     */
+    getBoardColumns() {
+        const saved = this.userStore.getPreference('boardColumns');
+        if (!Array.isArray(saved)) return TaskManager.DEFAULT_BOARD_COLUMNS;
+
+        const columns = saved.filter(column => column && typeof column.id === 'string' && typeof column.name === 'string');
+        const hasRequired = [Task.STATUS_TODO, Task.STATUS_DONE].every(id => columns.some(column => column.id === id));
+        return hasRequired ? columns : TaskManager.DEFAULT_BOARD_COLUMNS;
+    }
+
+    /**
+     * Column a task shows in; statuses without a column fall back to To Do
+     */
+    getBoardColumnId(task, columns = this.getBoardColumns()) {
+        return columns.some(column => column.id === task.status) ? task.status : Task.STATUS_TODO;
+    }
+
+    /**
+     * Create HTML for the board: one column per status
+     */
+    createBoard(tasks) {
+        const columns = this.getBoardColumns();
+        return columns.map(column => {
+            const columnTasks = tasks.filter(task => this.getBoardColumnId(task, columns) === column.id);
+            return `
+                <div class="board-column ${column.id === Task.STATUS_DONE ? 'board-column-done' : ''}" data-status="${this.escapeHtml(column.id)}">
+                    <div class="board-column-header">
+                        <h3>${this.escapeHtml(column.name)}</h3>
+                        <span class="board-column-count">${columnTasks.length}</span>
+                    </div>
+                    <div class="board-column-body">
+                        ${columnTasks.map(task => this.createTaskCard(task)).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    static get VIEW_MODES() {
+        return ['list', 'board', 'calendar'];
+    }
+
+    /**
+     * Switch between the card list, the board and the calendar
+     */
+    setViewMode(mode) {
+        this.viewMode = TaskManager.VIEW_MODES.includes(mode) ? mode : 'list';
+        this.userStore.setPreference('view', this.viewMode);
+        this.updateViewSwitcher();
+        this.render();
+    }
+
+    updateViewSwitcher() {
+        document.querySelectorAll('.view-option[data-view]').forEach(button => {
+            const isActive = button.dataset.view === this.viewMode;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-selected', String(isActive));
+        });
+        const columnsBtn = document.getElementById('board-columns-btn');
+        if (columnsBtn) columnsBtn.style.display = this.viewMode === 'board' ? 'inline-flex' : 'none';
+    }
+
+    /**
+     * Open the board column settings with a working copy of the columns
+     */
+    openBoardColumnsDialog() {
+        const modal = document.getElementById('board-columns-modal');
+        if (!modal) return;
+        this.editingColumns = this.getBoardColumns().map(column => Object.assign({}, column));
+        this.renderBoardColumnSettings();
+        modal.style.display = 'flex';
+        const firstInput = modal.querySelector('.board-column-setting input');
+        if (firstInput) firstInput.focus();
+    }
+
+    closeBoardColumnsDialog() {
+        const modal = document.getElementById('board-columns-modal');
+        if (modal) modal.style.display = 'none';
+        this.editingColumns = null;
+    }
+
+    renderBoardColumnSettings() {
+        const list = document.getElementById('board-column-settings');
+        const last = this.editingColumns.length - 1;
+        list.innerHTML = this.editingColumns.map((column, index) => {
+            const required = column.id === Task.STATUS_TODO || column.id === Task.STATUS_DONE;
+            return `
+                <li class="board-column-setting" data-index="${index}">
+                    <input type="text" maxlength="30" aria-label="Column name">
+                    <button type="button" class="btn btn-secondary btn-sm" data-column-action="up" title="Move left" ${index === 0 ? 'disabled' : ''}><i class="fas fa-arrow-up"></i></button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-column-action="down" title="Move right" ${index === last ? 'disabled' : ''}><i class="fas fa-arrow-down"></i></button>
+                    <button type="button" class="btn btn-danger btn-sm" data-column-action="remove" title="${required ? 'This column is required' : 'Remove column'}" ${required ? 'disabled' : ''}><i class="fas fa-times"></i></button>
+                </li>
+            `;
+        }).join('');
+        // Set values through the DOM so names are never parsed as HTML
+        list.querySelectorAll('.board-column-setting input').forEach((input, index) => {
+            input.value = this.editingColumns[index].name;
+        });
+        document.getElementById('add-board-column').disabled = this.editingColumns.length >= TaskManager.MAX_BOARD_COLUMNS;
+    }
+
+    /**
+     * Copy the typed names back into the working copy before re-rendering
+     */
+    syncBoardColumnSettings() {
+        document.querySelectorAll('#board-column-settings .board-column-setting input').forEach((input, index) => {
+            this.editingColumns[index].name = input.value;
+        });
+    }
+
+    addBoardColumnSetting() {
+        if (!this.editingColumns || this.editingColumns.length >= TaskManager.MAX_BOARD_COLUMNS) return;
+        this.syncBoardColumnSettings();
+        const id = `col_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 5)}`;
+        // New columns go before Done
+        const doneIndex = this.editingColumns.findIndex(column => column.id === Task.STATUS_DONE);
+        this.editingColumns.splice(doneIndex === -1 ? this.editingColumns.length : doneIndex, 0, { id, name: 'New Column' });
+        this.renderBoardColumnSettings();
+        const input = document.querySelector(`#board-column-settings .board-column-setting[data-index="${doneIndex === -1 ? this.editingColumns.length - 1 : doneIndex}"] input`);
+        if (input) {
+            input.focus();
+            input.select();
+        }
+    }
+
+    handleBoardColumnSettingClick(e) {
+        const button = e.target.closest('[data-column-action]');
+        if (!button || !this.editingColumns) return;
+        this.syncBoardColumnSettings();
+
+        const index = Number(button.closest('.board-column-setting').dataset.index);
+        const columns = this.editingColumns;
+        switch (button.dataset.columnAction) {
+            case 'up':
+                if (index > 0) [columns[index - 1], columns[index]] = [columns[index], columns[index - 1]];
+                break;
+            case 'down':
+                if (index < columns.length - 1) [columns[index + 1], columns[index]] = [columns[index], columns[index + 1]];
+                break;
+            case 'remove':
+                columns.splice(index, 1);
+                break;
+        }
+        this.renderBoardColumnSettings();
+    }
+
+    /**
+     * Save the column settings; tasks in removed columns move to To Do
+     */
+    handleBoardColumnsSubmit(e) {
+        e.preventDefault();
+        if (!this.editingColumns) return;
+        this.syncBoardColumnSettings();
+
+        const columns = this.editingColumns.map(column => ({ id: column.id, name: column.name.trim() }));
+        const names = columns.map(column => column.name.toLowerCase());
+        if (names.some(name => !name)) {
+            return this.showNotification('Column names cannot be empty', 'error');
+        }
+        if (new Set(names).size !== names.length) {
+            return this.showNotification('Column names must be different', 'error');
+        }
+
+        const kept = new Set(columns.map(column => column.id));
+        const orphaned = this.tasks.filter(task => !kept.has(task.status));
+        if (orphaned.length > 0) {
+            this.recordTaskChange('Remove board column', orphaned.map(task => task.id), () => {
+                orphaned.forEach(task => task.setStatus(Task.STATUS_TODO));
+            });
+            this.saveTasks(orphaned);
+        }
+
+        this.userStore.setPreference('boardColumns', columns);
+        this.closeBoardColumnsDialog();
+        this.render();
+        this.showNotification('Board columns updated', 'success');
+    }
+
+    /**
+     * First and last day shown by the calendar, whole weeks from Sunday
+     */
+    getCalendarRange() {
+        const anchor = new Date(this.calendarDate.getFullYear(), this.calendarDate.getMonth(), this.calendarDate.getDate());
+        let start;
+        let end;
+        if (this.calendarMode === 'week') {
+            start = new Date(anchor);
+            start.setDate(anchor.getDate() - anchor.getDay());
+            end = new Date(start);
+            end.setDate(start.getDate() + 6);
+        } else {
+            const first = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+            const last = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+            start = new Date(first);
+            start.setDate(first.getDate() - first.getDay());
+            end = new Date(last);
+            end.setDate(last.getDate() + (6 - last.getDay()));
+        }
+        return { start, end };
+    }
+
+    /**
+     * Heading for the shown range, e.g. "October 2026" or "Oct 18 - 24, 2026"
+     */
+    getCalendarTitle(start, end) {
+        if (this.calendarMode === 'month') {
+            return this.calendarDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+        }
+        const startText = start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        const endText = end.getMonth() === start.getMonth()
+            ? end.getDate()
+            : end.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        return `${startText} \u2013 ${endText}, ${end.getFullYear()}`;
+    }
+
+    /**
+     * Create HTML for the month or week calendar of dated tasks
+     */
+    createCalendar(tasks) {
+        const { start, end } = this.getCalendarRange();
+        const today = RecurrenceRule.formatDate(new Date());
+        const isWeek = this.calendarMode === 'week';
+        const maxChips = isWeek ? Infinity : 3;
+        const priorityRank = { High: 0, Medium: 1, Low: 2 };
+
+        const byDate = new Map();
+        tasks.filter(task => task.dueDate).forEach(task => {
+            if (!byDate.has(task.dueDate)) byDate.set(task.dueDate, []);
+            byDate.get(task.dueDate).push(task);
+        });
+        const undated = tasks.filter(task => !task.dueDate).length;
+
+        const days = [];
+        for (const day = new Date(start); day <= end; day.setDate(day.getDate() + 1)) {
+            const date = RecurrenceRule.formatDate(day);
+            const dayTasks = (byDate.get(date) || []).slice().sort((a, b) =>
+                (a.dueTime || '').localeCompare(b.dueTime || '') || priorityRank[a.priority] - priorityRank[b.priority]);
+            const hidden = dayTasks.length - Math.min(dayTasks.length, maxChips);
+            const classes = [
+                'calendar-day',
+                date === today ? 'today' : '',
+                !isWeek && day.getMonth() !== this.calendarDate.getMonth() ? 'outside-month' : ''
+            ].filter(Boolean).join(' ');
+
+            days.push(`
+                <div class="${classes}" data-date="${date}" title="Add a task due ${date}">
+                    <div class="calendar-day-number">${isWeek ? day.toLocaleDateString('en-US', { weekday: 'short', day: 'numeric' }) : day.getDate()}</div>
+                    <div class="calendar-day-tasks">
+                        ${dayTasks.slice(0, maxChips).map(task => this.createCalendarChip(task)).join('')}
+                        ${hidden > 0 ? `<button type="button" class="calendar-more" data-date="${date}">+${hidden} more</button>` : ''}
+                    </div>
+                </div>
+            `);
+        }
+
+        const weekdays = RecurrenceRule.WEEKDAY_NAMES.map(name => `<div class="calendar-weekday">${name}</div>`).join('');
+        return `
+            <div class="calendar-toolbar">
+                <div class="calendar-nav">
+                    <button type="button" class="btn btn-secondary btn-sm" data-calendar-nav="prev" title="Previous"><i class="fas fa-chevron-left"></i></button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-calendar-nav="today">Today</button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-calendar-nav="next" title="Next"><i class="fas fa-chevron-right"></i></button>
+                    <h3 class="calendar-title">${this.getCalendarTitle(start, end)}</h3>
+                </div>
+                <div class="view-switcher">
+                    <button type="button" class="view-option ${isWeek ? '' : 'active'}" data-calendar-mode="month">Month</button>
+                    <button type="button" class="view-option ${isWeek ? 'active' : ''}" data-calendar-mode="week">Week</button>
+                </div>
+            </div>
+            <div class="calendar-grid ${isWeek ? 'calendar-week' : 'calendar-month'}">
+                ${isWeek ? '' : weekdays}
+                ${days.join('')}
+            </div>
+            ${undated > 0 ? `<p class="calendar-note">${undated} task${undated === 1 ? ' has' : 's have'} no due date and ${undated === 1 ? 'is' : 'are'} not shown here.</p>` : ''}
+        `;
+    }
+
+    /**
+     * Create HTML for a task on a calendar day
+     */
+    createCalendarChip(task) {
+        const classes = ['calendar-task', `priority-${task.priority.toLowerCase()}`,
+            task.isCompleted ? 'completed' : '', task.isOverdue() ? 'overdue' : ''].filter(Boolean).join(' ');
+        return `
+            <div class="${classes}" data-task-id="${this.escapeHtml(task.id)}" draggable="true" title="${this.escapeHtml(task.title)}">
+                ${task.dueTime ? `<span class="calendar-task-time">${task.dueTime}</span>` : ''}
+                <span class="calendar-task-title">${this.escapeHtml(task.title)}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Calendar navigation, opening tasks, and adding a task on an empty day
+     */
+    handleCalendarClick(e) {
+        const nav = e.target.closest('[data-calendar-nav]');
+        const modeButton = e.target.closest('[data-calendar-mode]');
+        const more = e.target.closest('.calendar-more');
+        const chip = e.target.closest('.calendar-task');
+        const day = e.target.closest('.calendar-day');
+
+        if (nav) {
+            const step = nav.dataset.calendarNav === 'prev' ? -1 : 1;
+            if (nav.dataset.calendarNav === 'today') {
+                this.calendarDate = new Date();
+            } else if (this.calendarMode === 'week') {
+                this.calendarDate.setDate(this.calendarDate.getDate() + step * 7);
+            } else {
+                // Day 1 so that e.g. Jan 31 + 1 month doesn't skip February
+                this.calendarDate = new Date(this.calendarDate.getFullYear(), this.calendarDate.getMonth() + step, 1);
+            }
+            this.render();
+        } else if (modeButton) {
+            this.setCalendarMode(modeButton.dataset.calendarMode);
+        } else if (more) {
+            this.calendarDate = RecurrenceRule.parseDate(more.dataset.date);
+            this.setCalendarMode('week');
+        } else if (chip) {
+            this.openTaskEditor(chip.dataset.taskId);
+        } else if (day) {
+            this.prefillTaskForm(day.dataset.date);
+        }
+    }
+
+    setCalendarMode(mode) {
+        this.calendarMode = mode === 'week' ? 'week' : 'month';
+        this.userStore.setPreference('calendarMode', this.calendarMode);
+        this.render();
+    }
+
+    /**
+     * Put a due date into the add-task form and move focus to its title
+     */
+    prefillTaskForm(dueDate) {
+        const taskForm = document.getElementById('task-form');
+        if (!taskForm) return;
+        taskForm.elements.namedItem('dueDate').value = dueDate;
+        this.updateRepeatOptions(taskForm);
+
+        const titleInput = taskForm.elements.namedItem('title');
+        if (typeof taskForm.scrollIntoView === 'function') {
+            taskForm.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+        titleInput.focus();
+        this.showNotification(`New task due ${RecurrenceRule.parseDate(dueDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}: enter a title`, 'info');
+    }
+
+    handleCalendarDragStart(e) {
+        const chip = e.target.closest('.calendar-task');
+        if (!chip) return;
+        chip.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', chip.dataset.taskId);
+    }
+
+    handleCalendarDragOver(e) {
+        const day = e.target.closest('.calendar-day');
+        if (!day) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        document.querySelectorAll('.calendar-day.drag-over').forEach(el => {
+            if (el !== day) el.classList.remove('drag-over');
+        });
+        day.classList.add('drag-over');
+    }
+
+    /**
+     * Dropping a task on a day moves its due date there
+     */
+    handleCalendarDrop(e) {
+        const day = e.target.closest('.calendar-day');
+        this.clearDragHighlights();
+        if (!day) return;
+        e.preventDefault();
+
+        const task = this.tasks.find(t => t.id === e.dataTransfer.getData('text/plain'));
+        if (task && task.dueDate !== day.dataset.date) {
+            this.updateTask(task.id, { dueDate: day.dataset.date });
+        }
+    }
+
+    /**
+     * Create HTML for a task card
+     */
+    createTaskCard(task) {
+        const isOverdue = task.isOverdue();
+        const formattedDueDate = task.getFormattedDueDate();
+        const subtaskProgress = task.getSubtaskProgress();
+        const isExpanded = this.expandedTasks.has(task.id);
+        const notesExpanded = !!task.description && this.expandedNotes.has(task.id);
+        const recurrenceRule = task.getRecurrenceRule();
+        const groupStyle = task.group ? this.getGroupStyle(task.group) : null;
+        const openBlockers = task.isCompleted ? [] : this.getOpenBlockers(task);
+        const isSelected = this.selectedTasks.has(task.id);
+        const shortDate = (iso) => new Date(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+        
+        return `
+            <div class="task-card ${task.isCompleted ? 'completed' : ''} ${isOverdue ? 'overdue' : ''} ${openBlockers.length > 0 ? 'blocked' : ''} ${task.deletedAt ? 'trashed' : ''} ${isSelected ? 'selected' : ''}" 
+                 data-task-id="${this.escapeHtml(task.id)}" 
+                 draggable="${task.deletedAt ? 'false' : 'true'}">
+                ${task.deletedAt ? '' : `
+                    <input type="checkbox" class="task-select" ${isSelected ? 'checked' : ''}
+                           aria-label="Select &quot;${this.escapeHtml(task.title)}&quot;"
+                           title="Select (Shift-click for a range, Ctrl/Cmd-click a card to add it)">
+                `}
+                <div class="task-checkbox ${task.isCompleted ? 'checked' : ''}" 
+                     data-task-id="${this.escapeHtml(task.id)}"></div>
+                
+                <div class="task-content">
+                    <h3 class="task-title">${this.highlightText(task.title, this.searchQuery.getHighlightTerms())}</h3>
+                    <div class="task-meta">
+                        <span class="task-priority ${task.priority.toLowerCase()}">${task.priority}</span>
+                        ${task.deletedAt ? `
+                            <span class="task-bin-info">
+                                <i class="fas fa-trash-alt"></i> Deleted ${shortDate(task.deletedAt)}, gone for good ${this.describePurge(task)}
+                            </span>
+                        ` : task.archivedAt ? `
+                            <span class="task-bin-info">
+                                <i class="fas fa-archive"></i> Archived ${shortDate(task.archivedAt)}
+                            </span>
+                        ` : ''}
+                        ${openBlockers.length > 0 ? `
+                            <span class="task-blocked" title="Blocked by: ${this.escapeHtml(openBlockers.map(blocker => blocker.title).join(', '))}">
+                                <i class="fas fa-lock"></i> Blocked by ${openBlockers.length}
+                            </span>
+                        ` : ''}
+                        ${task.group ? `
+                            <span class="task-group"${groupStyle.color ? ` style="--group-color: ${groupStyle.color}"` : ''}>
+                                <i class="fas fa-${groupStyle.icon}"></i> ${this.escapeHtml(task.group)}
+                            </span>
+                        ` : ''}
+                        ${task.tags.map(tag => `
+                            <button type="button" class="tag-chip ${this.currentFilter.tags.includes(tag) ? 'active' : ''}"
+                                    data-tag="${this.escapeHtml(tag)}" style="--tag-hue: ${this.getTagHue(tag)}"
+                                    title="Filter by this tag">#${this.escapeHtml(tag)}</button>
+                        `).join('')}
+                        ${formattedDueDate ? `
+                            <span class="task-due-date ${isOverdue ? 'overdue' : ''}">
+                                <i class="fas fa-calendar"></i> ${formattedDueDate}
+                            </span>
+                        ` : ''}
+                        ${task.reminders.length > 0 && task.dueDate ? `
+                            <span class="task-reminders" title="${task.reminders.map(offset => this.formatReminderOffset(offset)).join(', ')}">
+                                <i class="fas fa-bell"></i> ${task.reminders.length}
+                            </span>
+                        ` : ''}
+                        ${recurrenceRule ? `
+                            <span class="task-repeat" title="Repeats: ${this.escapeHtml(task.recurrence)}">
+                                <i class="fas fa-redo"></i> ${recurrenceRule.describe()}
+                            </span>
+                        ` : ''}
+                        ${task.description ? `
+                            <button type="button" class="task-notes-toggle" aria-expanded="${notesExpanded}"
+                                    title="${this.escapeHtml(Markdown.toPlainText(task.description).slice(0, 200))}">
+                                <i class="fas fa-sticky-note"></i> ${notesExpanded ? 'Hide notes' : 'Notes'}
+                            </button>
+                        ` : ''}
+                        <button type="button" class="task-subtask-toggle ${subtaskProgress.total > 0 && subtaskProgress.done === subtaskProgress.total ? 'all-done' : ''}"
+                                title="${isExpanded ? 'Hide checklist' : 'Show checklist'}">
+                            <i class="fas fa-list-check"></i>
+                            ${subtaskProgress.total > 0 ? `${subtaskProgress.done}/${subtaskProgress.total} done` : 'Checklist'}
+                        </button>
+                    </div>
+                    ${notesExpanded ? `<div class="task-notes-preview markdown-body">${Markdown.render(task.description)}</div>` : ''}
+                    ${isExpanded ? this.createSubtaskList(task) : ''}
+                </div>
+                
+                <div class="task-actions">
+                    ${this.createTaskActions(task)}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for a card's action buttons. Trashed tasks can only be
+     * restored or deleted for good; completed ones can be (un)archived.
+     */
+    createTaskActions(task) {
+        if (task.deletedAt) {
+            return `
+                <button class="btn btn-secondary btn-sm btn-restore" data-task-id="${this.escapeHtml(task.id)}" title="Restore task">
+                    <i class="fas fa-undo"></i>
+                </button>
+                <button class="btn btn-danger btn-sm btn-delete-forever" data-task-id="${this.escapeHtml(task.id)}" title="Delete for good">
+                    <i class="fas fa-times"></i>
+                </button>
+            `;
+        }
+        return `
+            <button class="btn btn-secondary btn-sm btn-edit" 
+                    data-task-id="${this.escapeHtml(task.id)}" 
+                    title="Edit task">
+                <i class="fas fa-edit"></i>
+            </button>
+            ${task.archivedAt || task.isCompleted ? `
+                <button class="btn btn-secondary btn-sm btn-archive" 
+                        data-task-id="${this.escapeHtml(task.id)}" 
+                        title="${task.archivedAt ? 'Move back to the task list' : 'Archive task'}">
+                    <i class="fas ${task.archivedAt ? 'fa-box-open' : 'fa-archive'}"></i>
+                </button>
+            ` : ''}
+            <button class="btn btn-danger btn-sm btn-delete" 
+                    data-task-id="${this.escapeHtml(task.id)}" 
+                    title="Move to trash">
+                <i class="fas fa-trash"></i>
+            </button>
+        `;
+    }
+
+    /**
+     * Create HTML for a card's expanded checklist
+     */
+    createSubtaskList(task) {
+        const lastIndex = task.subtasks.length - 1;
+        return `
+            <div class="subtask-panel">
+                <ul class="subtask-list">
+                    ${task.subtasks.map((subtask, index) => `
+                        <li class="subtask-item ${subtask.isCompleted ? 'completed' : ''}" data-subtask-id="${this.escapeHtml(subtask.id)}">
+                            <span class="subtask-checkbox ${subtask.isCompleted ? 'checked' : ''}"></span>
+                            <span class="subtask-title">${this.escapeHtml(subtask.title)}</span>
+                            <span class="subtask-actions">
+                                <button type="button" class="subtask-up" title="Move up" ${index === 0 ? 'disabled' : ''}><i class="fas fa-arrow-up"></i></button>
+                                <button type="button" class="subtask-down" title="Move down" ${index === lastIndex ? 'disabled' : ''}><i class="fas fa-arrow-down"></i></button>
+                                <button type="button" class="subtask-remove" title="Remove item"><i class="fas fa-times"></i></button>
+                            </span>
+                        </li>
+                    `).join('')}
+                </ul>
+                <form class="subtask-add-form" data-task-id="${this.escapeHtml(task.id)}">
+                    <input type="text" class="subtask-input" placeholder="Add checklist item..." maxlength="100">
+                    <button type="submit" class="subtask-add-btn" title="Add item"><i class="fas fa-plus"></i></button>
+                </form>
+            </div>
+        `;
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        // Quotes too, so the result is also safe inside a quoted attribute
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Escape text and wrap every case-insensitive match of the terms in <mark>
+     */
+    highlightText(text, terms) {
+        const lower = text.toLowerCase();
+        const ranges = [];
+        terms.filter(Boolean).forEach(term => {
+            for (let i = lower.indexOf(term); i !== -1; i = lower.indexOf(term, i + 1)) {
+                ranges.push([i, i + term.length]);
+            }
+        });
+        if (ranges.length === 0) return this.escapeHtml(text);
+
+        // Merge overlapping matches so marks never nest
+        ranges.sort((a, b) => a[0] - b[0]);
+        const merged = [ranges[0]];
+        ranges.slice(1).forEach(([start, end]) => {
+            const last = merged[merged.length - 1];
+            if (start <= last[1]) {
+                last[1] = Math.max(last[1], end);
+            } else {
+                merged.push([start, end]);
+            }
+        });
+
+        let html = '';
+        let pos = 0;
+        merged.forEach(([start, end]) => {
+            html += this.escapeHtml(text.slice(pos, start));
+            html += `<mark class="search-highlight">${this.escapeHtml(text.slice(start, end))}</mark>`;
+            pos = end;
+        });
+        return html + this.escapeHtml(text.slice(pos));
+    }
+
+    /**
+     * Show what was wrong with the search query under the search box
+     */
+    showSearchErrors(errors) {
+        const input = document.getElementById('search-input');
+        const message = document.getElementById('search-error');
+        if (!input || !message) return;
+
+        input.classList.toggle('invalid', errors.length > 0);
+        input.setAttribute('aria-invalid', errors.length > 0 ? 'true' : 'false');
+        message.textContent = errors.join('. ');
+        message.hidden = errors.length === 0;
+    }
+
+    /**
+     * Update progress dashboard
+     */
+    updateProgress() {
+        const { totalTasks, completedTasks, pendingTasks, progressPercentage } = this.getProgressStats();
+        this.updateGroupProgress();
+
+        document.getElementById('total-tasks').textContent = totalTasks;
+        document.getElementById('completed-tasks').textContent = completedTasks;
+        document.getElementById('pending-tasks').textContent = pendingTasks;
+        const pctEl = document.getElementById('progress-percentage');
+        pctEl.textContent = `${progressPercentage}%`;
+        document.getElementById('progress-fill').style.width = `${progressPercentage}%`;
+        // Pulse feedback
+        pctEl.classList.remove('pulse');
+        // force reflow to restart animation
+        void pctEl.offsetWidth;
+        pctEl.classList.add('pulse');
+    }
+
+    /**
+     * Task counts and completion percentage shown in the progress dashboard
+     * (for all tasks, or for the given ones, e.g. a project's)
+     */
+    getProgressStats(tasks = this.getLiveTasks()) {
+        const totalTasks = tasks.length;
+        const completedTasks = tasks.filter(task => task.isCompleted).length;
+        return {
+            totalTasks,
+            completedTasks,
+            pendingTasks: totalTasks - completedTasks,
+            progressPercentage: totalTasks > 0 ? Math.round((this.getCompletedUnits(tasks) / totalTasks) * 100) : 0
+        };
+    }
+
+    /**
+     * Count completed work: a completed task is 1, an open task with a
+     * checklist contributes the fraction of its items that are done
+     */
+    getCompletedUnits(tasks) {
+        return tasks.reduce((sum, task) => {
+            if (task.isCompleted) return sum + 1;
+            const { done, total } = task.getSubtaskProgress();
+            return total > 0 ? sum + done / total : sum;
+        }, 0);
+    }
+
+    /**
+     * Drag and Drop handlers
+     */
+    handleDragStart(e) {
+        const taskCard = e.target.closest('.task-card');
+        if (taskCard) {
+            taskCard.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/html', taskCard.outerHTML);
+            e.dataTransfer.setData('text/plain', taskCard.dataset.taskId);
+        }
+    }
+
+    handleDragOver(e) {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+
+        // On the board, highlight the column under the pointer
+        const column = e.target.closest('.board-column');
+        document.querySelectorAll('.board-column.drag-over').forEach(el => {
+            if (el !== column) el.classList.remove('drag-over');
+        });
+        if (column) {
+            column.classList.add('drag-over');
+        } else {
+            e.currentTarget.classList.add('drag-over');
+        }
+    }
+
+    handleDrop(e) {
+        e.preventDefault();
+        this.clearDragHighlights();
+
+        // Dropping on a board column also moves the task to that status
+        const column = e.target.closest('.board-column');
+        const container = column ? column.querySelector('.board-column-body') : document.getElementById('task-list');
+        const newStatus = column ? column.dataset.status : null;
+
+        const draggedTaskId = e.dataTransfer.getData('text/plain');
+        const afterElement = this.getDragAfterElement(container, e.clientY);
+        const draggedTask = this.tasks.find(task => task.id === draggedTaskId);
+        
+        if (draggedTask) {
+            const statusChanged = newStatus !== null && newStatus !== draggedTask.status;
+            if (statusChanged && newStatus === Task.STATUS_DONE && !draggedTask.isCompleted &&
+                !this.confirmCompleteBlocked(draggedTask)) return;
+            const columnName = column ? column.querySelector('.board-column-header h3').textContent : '';
+            let nextTask = null;
+
+            this.recordTaskChange(statusChanged ? `Move to ${columnName}` : 'Reorder tasks', [draggedTaskId], () => {
+                // Remove from current position
+                this.tasks = this.tasks.filter(task => task.id !== draggedTaskId);
+                
+                // Insert at new position
+                if (afterElement == null) {
+                    this.tasks.push(draggedTask);
+                } else {
+                    const afterIndex = this.tasks.findIndex(task => task.id === afterElement.dataset.taskId);
+                    this.tasks.splice(afterIndex, 0, draggedTask);
+                }
+
+                if (statusChanged) {
+                    draggedTask.setStatus(newStatus);
+                    // Completing a repeating task schedules its next occurrence
+                    if (draggedTask.isCompleted && draggedTask.recurrence) {
+                        nextTask = this.scheduleNextOccurrence(draggedTask);
+                    }
+                }
+            });
+            
+            this.saveTasks(nextTask ? [nextTask, draggedTask] : [draggedTask]);
+            this.applyFilters();
+            if (statusChanged) this.updateProgress();
+            if (nextTask) {
+                this.showNotification(`Next occurrence due ${nextTask.getFormattedDueDate()}`, 'info');
+            }
+        }
+    }
+
+    handleDragEnd(e) {
+        const taskCard = e.target.closest('.task-card');
+        if (taskCard) {
+            taskCard.classList.remove('dragging');
+        }
+        this.clearDragHighlights();
+    }
+
+    clearDragHighlights() {
+        document.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+    }
+
+    /**
+     * Get element after which to drop the dragged element
+     */
+    getDragAfterElement(container, y) {
+        const draggableElements = [...container.querySelectorAll('.task-card:not(.dragging)')];
+        
+        return draggableElements.reduce((closest, child) => {
+            const box = child.getBoundingClientRect();
+            const offset = y - box.top - box.height / 2;
+            
+            if (offset < 0 && offset > closest.offset) {
+                return { offset: offset, element: child };
+            } else {
+                return closest;
+            }
+        }, { offset: Number.NEGATIVE_INFINITY }).element;
+    }
+
+    /**
+     * Save tasks to storage. Pass the tasks that changed to write only
+     * those (deletions are detected automatically); omit to write all.
+     */
+    saveTasks(changedTasks = this.tasks) {
+        // Persist tasks under current user profile (encrypted)
+        return this.userStore.saveCurrentUserTasks(this.tasks, changedTasks).catch(error => {
+            console.error('Error saving tasks to storage:', error);
+            this.showNotification('Error saving tasks!', 'error');
+        });
+    }
+
+    /**
+     * Load and decrypt tasks from storage
+     */
+    async loadTasks() {
+        try {
+            const data = await this.userStore.loadCurrentUserData();
+            this.tasks = data.tasks.map(taskData => Task.fromJSON(taskData));
+            console.log('Loaded', this.tasks.length, 'tasks from storage');
+        } catch (error) {
+            console.error('Error decrypting tasks from storage:', error);
+            this.showNotification('Error loading tasks!', 'error');
+            this.tasks = [];
+        }
+    }
+
+    /**
+     * Load groups from storage
+     */
+    loadGroups() {
+        this.groups = this.userStore.getCurrentUserGroups();
+        this.renderGroups();
+    }
+
+    /**
+     * Colors and icons a group can use. Fixed lists, since they end up
+     * in style attributes and icon class names.
+     */
+    static get GROUP_COLORS() {
+        return ['#6366f1', '#3b82f6', '#06b6d4', '#10b981', '#f59e0b', '#ef4444', '#ec4899', '#64748b'];
+    }
+
+    static get GROUP_ICONS() {
+        return ['folder', 'briefcase', 'house', 'user', 'users', 'star', 'heart', 'book', 'code', 'cart-shopping', 'plane', 'dumbbell'];
+    }
+
+    /**
+     * A group's color (null for the default look) and icon
+     */
+    getGroupStyle(groupName) {
+        const settings = this.userStore.getGroupSettings()[groupName] || {};
+        return {
+            color: TaskManager.GROUP_COLORS.includes(settings.color) ? settings.color : null,
+            icon: TaskManager.GROUP_ICONS.includes(settings.icon) ? settings.icon : 'folder'
         };
-        this.currentGroup = 'all';
-        this.groups = [];
+    }
 
-        try {
-            this.cacheDom();
-            this.initializeEventListeners();
-            this.bootstrapView();
-        } catch (error) {
-            console.error('Error initializing TaskManager:', error);
-            // Force hide preloader and show auth screen
-            this.hidePreloader();
-            if (this.authSection) this.authSection.style.display = 'flex';
-            if (this.dashboardSection) this.dashboardSection.style.display = 'none';
+    /**
+     * Parent project of a group, or null for a top-level group. A parent
+     * that no longer exists, or a loop of parents, counts as top level.
+     */
+    getGroupParent(groupName) {
+        const settings = this.userStore.getGroupSettings();
+        const parentOf = group => {
+            const parent = settings[group] && settings[group].parent;
+            return parent && this.groups.includes(parent) ? parent : null;
+        };
+
+        const seen = new Set([groupName]);
+        for (let node = parentOf(groupName); node; node = parentOf(node)) {
+            if (seen.has(node)) return null;
+            seen.add(node);
         }
+        return parentOf(groupName);
+    }
 
-        // Ensure preloader is hidden after a maximum delay
-        setTimeout(() => {
-            this.hidePreloader();
-        }, 1000);
+    /**
+     * Direct sub-projects of a group (top-level groups for null), in list order
+     */
+    getGroupChildren(groupName) {
+        return this.groups.filter(group => this.getGroupParent(group) === groupName);
+    }
 
-        TaskManager.instance = this;
+    /**
+     * A group followed by all of its sub-projects, at any depth
+     */
+    getGroupWithDescendants(groupName) {
+        return [groupName, ...this.getGroupChildren(groupName).flatMap(child => this.getGroupWithDescendants(child))];
     }
 
-    /** Cache frequently used DOM nodes */
-    cacheDom() {
-        // Core elements - these are required
-        this.authSection = document.getElementById('auth-section');
-        this.dashboardSection = document.getElementById('dashboard-section');
-        this.preloader = document.getElementById('preloader');
+    /**
+     * Groups in tree order with their depth. Sub-projects of collapsed
+     * groups are left out when `skipCollapsed` is set.
+     */
+    getGroupTree(skipCollapsed = false) {
+        const settings = this.userStore.getGroupSettings();
+        const walk = (parent, depth) => this.getGroupChildren(parent).flatMap(group => [
+            { group, depth },
+            ...(skipCollapsed && settings[group] && settings[group].collapsed ? [] : walk(group, depth + 1))
+        ]);
+        return walk(null, 0);
+    }
+
+    /**
+     * Label for a group in a dropdown, indented by its depth in the tree
+     */
+    getGroupOptionLabel(group, depth) {
+        return '\u00a0\u00a0\u00a0'.repeat(depth) + group;
+    }
+
+    /**
+     * Render groups in sidebar as a collapsible tree
+     */
+    renderGroups() {
+        if (!this.groupsContainer) return;
         
-        // Check if core elements exist
-        if (!this.authSection || !this.dashboardSection) {
-            console.error('Critical DOM elements not found');
-            return;
+        const settings = this.userStore.getGroupSettings();
+        this.groupsContainer.innerHTML = this.getGroupTree(true).map(({ group, depth }) => {
+            const { color, icon } = this.getGroupStyle(group);
+            const active = this.currentFilter.group === group && !this.currentFilter.dateRange;
+            const hasChildren = this.getGroupChildren(group).length > 0;
+            const expanded = !(settings[group] && settings[group].collapsed);
+            return `
+                <div class="group-item${active ? ' active' : ''}" data-group="${this.escapeHtml(group)}"
+                     style="--depth: ${depth}" aria-level="${depth + 1}"${hasChildren ? ` aria-expanded="${expanded}"` : ''}
+                     draggable="true" tabindex="0" title="Drag (or Alt+Arrow keys) to reorder">
+                    <span class="group-item-name">${hasChildren
+                        ? `<button type="button" class="group-toggle" data-group-action="toggle" title="${expanded ? 'Collapse' : 'Expand'}"><i class="fas fa-chevron-${expanded ? 'down' : 'right'}"></i></button>`
+                        : '<span class="group-toggle"></span>'}<i class="fas fa-${icon}"${color ? ` style="color: ${color}"` : ''}></i> ${this.escapeHtml(group)}</span>
+                    <span class="group-progress"></span>
+                    <span class="group-item-actions">
+                        <button type="button" data-group-action="edit" title="Edit group"><i class="fas fa-pen"></i></button>
+                        <button type="button" data-group-action="remove" title="Remove group"><i class="fas fa-times"></i></button>
+                    </span>
+                </div>
+            `;
+        }).join('');
+        this.updateGroupProgress();
+    }
+
+    /**
+     * Completion percentage of each group in the sidebar, counting the
+     * tasks of its sub-projects as well
+     */
+    updateGroupProgress() {
+        if (!this.groupsContainer) return;
+
+        this.groupsContainer.querySelectorAll('.group-item').forEach(item => {
+            const groups = new Set(this.getGroupWithDescendants(item.dataset.group));
+            const { totalTasks, completedTasks, progressPercentage } = this.getProgressStats(this.getLiveTasks().filter(task => groups.has(task.group)));
+            const progress = item.querySelector('.group-progress');
+            progress.textContent = totalTasks > 0 ? `${progressPercentage}%` : '';
+            progress.title = totalTasks > 0 ? `${completedTasks} of ${totalTasks} task${totalTasks === 1 ? '' : 's'} completed` : '';
+            progress.classList.toggle('done', totalTasks > 0 && progressPercentage === 100);
+        });
+    }
+
+    /**
+     * Show or hide a group's sub-projects. Not an undo step: it only
+     * changes the sidebar, though it is remembered with the group.
+     */
+    toggleGroupCollapsed(groupName, collapsed = null) {
+        const settings = this.userStore.getGroupSettings()[groupName] || {};
+        const next = collapsed === null ? !settings.collapsed : collapsed;
+        if (!!settings.collapsed === next) return;
+
+        this.userStore.updateGroupSettings(groupName, { collapsed: next });
+        this.renderGroups();
+        const item = [...this.groupsContainer.querySelectorAll('.group-item')].find(el => el.dataset.group === groupName);
+        if (item) item.focus();
+    }
+
+    /**
+     * Clicks in the groups list: edit or remove buttons, or filter by the group
+     */
+    handleGroupListClick(e) {
+        const item = e.target.closest('.group-item');
+        if (!item) return;
+
+        const group = item.dataset.group;
+        const button = e.target.closest('[data-group-action]');
+        if (!button) {
+            this.filterByGroup(group);
+        } else if (button.dataset.groupAction === 'toggle') {
+            this.toggleGroupCollapsed(group);
+        } else if (button.dataset.groupAction === 'edit') {
+            this.openGroupDialog(group);
+        } else if (button.dataset.groupAction === 'remove') {
+            this.removeGroup(group);
         }
-        
-        // Optional elements
-        this.currentUsernameEl = document.getElementById('current-username');
+    }
 
-        // Auth elements
-        this.loginTab = document.getElementById('login-tab');
-        this.signupTab = document.getElementById('signup-tab');
-        this.loginForm = document.getElementById('login-form');
-        this.signupForm = document.getElementById('signup-form');
-        this.logoutBtn = document.getElementById('logout-btn');
+    /**
+     * Keyboard use of a focused group: Enter filters, Left/Right collapse
+     * and expand sub-projects, Alt+Up/Down reorders among its siblings
+     */
+    handleGroupKeydown(e) {
+        const item = e.target.closest('.group-item');
+        if (!item || e.target !== item) return;
+
+        const group = item.dataset.group;
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            this.filterByGroup(group);
+        } else if ((e.key === 'ArrowLeft' || e.key === 'ArrowRight') && item.hasAttribute('aria-expanded')) {
+            e.preventDefault();
+            this.toggleGroupCollapsed(group, e.key === 'ArrowLeft');
+        } else if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+            e.preventDefault();
+            const siblings = this.getGroupChildren(this.getGroupParent(group));
+            const neighbor = siblings[siblings.indexOf(group) + (e.key === 'ArrowUp' ? -1 : 1)];
+            if (!neighbor) return;
+            this.moveGroup(group, this.groups.indexOf(neighbor));
+            const moved = [...this.groupsContainer.querySelectorAll('.group-item')].find(el => el.dataset.group === group);
+            if (moved) moved.focus();
+        }
+    }
 
-        // Sidebar elements
-        this.sidebar = document.getElementById('sidebar');
-        this.sidebarUsername = document.getElementById('sidebar-username');
-        this.logoutBtnSidebar = document.getElementById('logout-btn-sidebar');
-        this.groupsContainer = document.getElementById('groups-container');
-        this.addGroupBtn = document.getElementById('add-group-btn');
-        this.mobileMenuBtn = document.getElementById('mobile-menu-btn');
-        this.allTasksNav = document.getElementById('all-tasks-nav');
-        this.todayNav = document.getElementById('today-nav');
+    handleGroupDragStart(e) {
+        const item = e.target.closest('.group-item');
+        if (!item) return;
+        this.draggedGroup = item.dataset.group;
+        item.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('application/x-task-group', this.draggedGroup);
+    }
 
-        // Export elements
-        this.exportBtn = document.getElementById('export-btn');
-        this.exportDropdown = document.getElementById('export-dropdown');
-        this.printOption = document.getElementById('print-option');
-        this.pdfOption = document.getElementById('pdf-option');
+    /**
+     * Show where a dragged group would land: above or below the hovered one.
+     * A group can't be dropped among its own sub-projects.
+     */
+    handleGroupDragOver(e) {
+        const item = e.target.closest('.group-item');
+        if (this.draggedGroup === null || !item) return;
+        if (item.dataset.group !== this.draggedGroup &&
+            this.getGroupWithDescendants(this.draggedGroup).includes(item.dataset.group)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
 
-        // Empty state elements
-        this.emptyStateCta = document.getElementById('empty-state-cta');
+        const rect = item.getBoundingClientRect();
+        const after = e.clientY > rect.top + rect.height / 2;
+        this.groupsContainer.querySelectorAll('.group-item').forEach(el => {
+            el.classList.toggle('drop-before', el === item && !after);
+            el.classList.toggle('drop-after', el === item && after);
+        });
     }
 
     /**
-     * Initialize all event listeners
+     * Drop a group next to another one; it joins that group's parent
      */
-    initializeEventListeners() {
-        // Auth tabs
-        if (this.loginTab && this.signupTab) {
-            this.loginTab.addEventListener('click', () => this.toggleAuthTab('login'));
-            this.signupTab.addEventListener('click', () => this.toggleAuthTab('signup'));
+    handleGroupDrop(e) {
+        const item = e.target.closest('.group-item');
+        if (this.draggedGroup === null || !item) return;
+        e.preventDefault();
+
+        const dragged = this.draggedGroup;
+        const target = item.dataset.group;
+        const after = item.classList.contains('drop-after');
+        const rest = this.groups.filter(group => group !== dragged);
+        const index = rest.indexOf(target) + (after ? 1 : 0);
+        this.handleGroupDragEnd();
+        if (target !== dragged && !this.getGroupWithDescendants(dragged).includes(target)) {
+            this.moveGroup(dragged, index, this.getGroupParent(target));
         }
+    }
 
-        // Login
-        if (this.loginForm) {
-            this.loginForm.addEventListener('submit', (e) => {
-                e.preventDefault();
-                const username = document.getElementById('login-username').value.trim();
-                const pin = document.getElementById('login-pin').value.trim();
-                if (!username || !pin) return this.showNotification('Enter username and PIN', 'error');
-                const res = this.userStore.login(username, pin);
-                if (!res.ok) return this.showNotification(res.error, 'error');
-                this.showNotification('Welcome back!', 'success');
-                this.bootstrapView();
-            });
+    handleGroupDragEnd() {
+        this.draggedGroup = null;
+        this.groupsContainer.querySelectorAll('.group-item').forEach(el => {
+            el.classList.remove('dragging', 'drop-before', 'drop-after');
+        });
+    }
+
+    /**
+     * Move a group to a new position in the sidebar (and group dropdowns),
+     * optionally under a new parent project (null for top level)
+     */
+    moveGroup(groupName, toIndex, parent = undefined) {
+        const from = this.groups.indexOf(groupName);
+        const index = Math.max(0, Math.min(toIndex, this.groups.length - 1));
+        const reparent = parent !== undefined && parent !== this.getGroupParent(groupName);
+        if (from === -1 || (index === from && !reparent)) return;
+
+        const order = this.groups.filter(group => group !== groupName);
+        order.splice(index, 0, groupName);
+        this.recordGroupChange('Reorder groups', () => {
+            this.userStore.setGroups(order);
+            if (reparent) this.userStore.updateGroupSettings(groupName, { parent });
+        });
+        this.loadGroups();
+        this.updateGroupDropdown();
+        if (reparent) this.applyFilters();
+    }
+
+    /**
+     * Open the group dialog to create a group, or to edit one when a name is given
+     */
+    openGroupDialog(groupName = null) {
+        const modal = document.getElementById('group-modal');
+        const form = document.getElementById('group-form');
+        if (!modal || !form) return;
+
+        // Color and icon choices come from the lists above
+        const colors = form.querySelector('.group-color-options');
+        if (!colors.querySelector('input')) {
+            colors.insertAdjacentHTML('beforeend', [null, ...TaskManager.GROUP_COLORS].map(color => `
+                <label class="group-color-option" title="${color || 'Default'}">
+                    <input type="radio" name="color" value="${color || ''}">
+                    <span class="group-color-swatch"${color ? ` style="background-color: ${color}"` : ''}></span>
+                </label>
+            `).join(''));
+            form.querySelector('.group-icon-options').insertAdjacentHTML('beforeend', TaskManager.GROUP_ICONS.map(icon => `
+                <label class="group-icon-option" title="${icon.replace(/-/g, ' ')}">
+                    <input type="radio" name="icon" value="${icon}">
+                    <i class="fas fa-${icon}"></i>
+                </label>
+            `).join(''));
         }
 
-        // Signup
-        if (this.signupForm) {
-            this.signupForm.addEventListener('submit', (e) => {
-                e.preventDefault();
-                const username = document.getElementById('signup-username').value.trim();
-                const pin = document.getElementById('signup-pin').value.trim();
-                const confirm = document.getElementById('confirm-pin').value.trim();
-                if (pin !== confirm) return this.showNotification('PINs do not match', 'error');
-                if (username.length < 3) return this.showNotification('Username too short', 'error');
-                if (pin.length < 4 || pin.length > 6) return this.showNotification('PIN must be 4-6 digits', 'error');
-                const res = this.userStore.createUser(username, pin);
-                if (!res.ok) return this.showNotification(res.error, 'error');
-                this.userStore.login(username, pin);
-                this.showNotification('Account created!', 'success');
-                this.bootstrapView();
-            });
+        // A group can't move under itself or one of its sub-projects
+        const excluded = groupName === null ? [] : this.getGroupWithDescendants(groupName);
+        const parentSelect = form.elements.namedItem('parent');
+        parentSelect.innerHTML = '<option value="">None (top level)</option>';
+        this.getGroupTree().filter(({ group }) => !excluded.includes(group)).forEach(({ group, depth }) => {
+            const option = document.createElement('option');
+            option.value = group;
+            option.textContent = this.getGroupOptionLabel(group, depth);
+            parentSelect.appendChild(option);
+        });
+        parentSelect.value = groupName === null ? '' : this.getGroupParent(groupName) || '';
+
+        const style = groupName === null ? { color: null, icon: 'folder' } : this.getGroupStyle(groupName);
+        form.elements.namedItem('name').value = groupName || '';
+        form.querySelector(`input[name="color"][value="${style.color || ''}"]`).checked = true;
+        form.querySelector(`input[name="icon"][value="${style.icon}"]`).checked = true;
+        if (groupName === null) {
+            delete form.dataset.group;
+        } else {
+            form.dataset.group = groupName;
         }
+        document.getElementById('group-modal-title').textContent = groupName === null ? 'New Group' : 'Edit Group';
 
-        // Logout
-        if (this.logoutBtn) {
-            this.logoutBtn.addEventListener('click', () => {
-                this.userStore.logout();
-                this.tasks = [];
-                this.render();
-                this.updateProgress();
-                this.bootstrapView();
-            });
+        modal.style.display = 'flex';
+        form.elements.namedItem('name').focus();
+    }
+
+    closeGroupDialog() {
+        const modal = document.getElementById('group-modal');
+        if (modal) modal.style.display = 'none';
+    }
+
+    /**
+     * Create the group, or save a rename (cascading to its tasks), style
+     * and parent project
+     */
+    handleGroupSubmit(e) {
+        e.preventDefault();
+
+        const form = e.target;
+        const oldName = form.dataset.group;
+        const name = form.elements.namedItem('name').value.trim();
+        const style = {
+            color: form.querySelector('input[name="color"]:checked').value || null,
+            icon: form.querySelector('input[name="icon"]:checked').value,
+            parent: form.elements.namedItem('parent').value || null
+        };
+
+        let error = null;
+        if (!name) {
+            error = 'Group name cannot be empty';
+        } else if (name.length > 50) {
+            error = 'Group name cannot exceed 50 characters';
+        } else if (name !== oldName && this.groups.includes(name)) {
+            error = 'Group already exists';
+        }
+        if (error) {
+            this.showNotification(error, 'error');
+            form.elements.namedItem('name').focus();
+            return;
         }
 
-        // Sidebar logout
-        if (this.logoutBtnSidebar) {
-            this.logoutBtnSidebar.addEventListener('click', () => {
-                this.userStore.logout();
-                this.tasks = [];
-                this.render();
-                this.updateProgress();
-                this.bootstrapView();
-            });
+        if (oldName === undefined) {
+            const result = this.recordGroupChange('Add group', () => this.userStore.addGroup(name, style));
+            if (!result.ok) return this.showNotification(result.error, 'error');
+            this.showNotification('Group added successfully!', 'success');
+        } else {
+            this.renameGroup(oldName, name, style);
         }
 
-        // Mobile menu toggle
-        if (this.mobileMenuBtn) {
-            this.mobileMenuBtn.addEventListener('click', () => {
-                this.sidebar.classList.toggle('open');
+        this.closeGroupDialog();
+        this.loadGroups();
+        this.updateGroupDropdown();
+        this.applyFilters();
+    }
+
+    /**
+     * Rename a group and update its settings (color, icon, parent); every
+     * task, sub-project, the active filter and saved filters follow the
+     * new name. One undo step.
+     */
+    renameGroup(oldName, newName, style) {
+        const affected = newName === oldName ? [] : this.tasks.filter(task => task.group === oldName);
+        const label = newName === oldName ? 'Edit group' : 'Rename group';
+
+        this.history.batch(label, () => {
+            this.recordGroupChange(label, () => {
+                this.userStore.renameGroup(oldName, newName);
+                this.userStore.updateGroupSettings(newName, style);
             });
+            if (affected.length > 0) {
+                this.recordTaskChange(label, affected.map(task => task.id), () => {
+                    affected.forEach(task => task.updateGroup(newName));
+                });
+            }
+        });
+
+        if (newName !== oldName) {
+            this.saveTasks(affected);
+            if (this.currentFilter.group === oldName) this.currentFilter.group = newName;
+            if (this.savedFilters.some(saved => saved.filter.group === oldName)) {
+                this.updateSavedFilters(this.savedFilters.map(saved => saved.filter.group === oldName
+                    ? Object.assign({}, saved, { filter: Object.assign({}, saved.filter, { group: newName }) })
+                    : saved));
+            }
         }
+        this.showNotification(affected.length > 0
+            ? `Group renamed on ${affected.length} task${affected.length === 1 ? '' : 's'}`
+            : 'Group updated', 'success');
+    }
 
-        // Export functionality - robust floating dropdown
-        if (this.exportBtn) {
-            const positionExportDropdown = () => {
-                if (!this.exportDropdown || !this.exportBtn) return;
-                const rect = this.exportBtn.getBoundingClientRect();
-                // ensure dropdown is fixed to viewport so it escapes stacking contexts
-                this.exportDropdown.style.position = 'fixed';
-                this.exportDropdown.style.left = `${rect.left}px`;
-                this.exportDropdown.style.top = `${rect.bottom + 8}px`;
-                this.exportDropdown.style.minWidth = `${Math.max(rect.width, 200)}px`;
-                this.exportDropdown.style.zIndex = '99999';
-            };
+    /**
+     * Remove a group. If tasks use it, ask whether to move them to another
+     * group, leave them without a group or move them to the trash.
+     */
+    removeGroup(groupName) {
+        const count = this.tasks.filter(task => task.group === groupName).length;
+        const children = this.getGroupChildren(groupName).length;
+        const childNote = children > 0
+            ? ` Its ${children} sub-project${children === 1 ? '' : 's'} will move up a level.`
+            : '';
+        if (count === 0) {
+            if (confirm(`Are you sure you want to remove the group "${groupName}"?${childNote}`)) {
+                this.deleteGroup(groupName, 'clear');
+            }
+            return;
+        }
+
+        const modal = document.getElementById('group-delete-modal');
+        const form = document.getElementById('group-delete-form');
+        if (!modal || !form) return;
+
+        const others = this.groups.filter(group => group !== groupName);
+        const target = form.elements.namedItem('target');
+        target.innerHTML = others.map(group => `<option>${this.escapeHtml(group)}</option>`).join('');
+        target.disabled = others.length === 0;
+        form.querySelector('input[name="group-delete-mode"][value="move"]').disabled = others.length === 0;
+        form.querySelector(`input[name="group-delete-mode"][value="${others.length > 0 ? 'move' : 'clear'}"]`).checked = true;
+        document.getElementById('group-delete-summary').textContent =
+            `"${groupName}" still has ${count} task${count === 1 ? '' : 's'}.${childNote}`;
+        form.dataset.group = groupName;
+
+        modal.style.display = 'flex';
+        form.querySelector('input[name="group-delete-mode"]:checked').focus();
+    }
+
+    closeGroupDeleteDialog() {
+        const modal = document.getElementById('group-delete-modal');
+        if (modal) modal.style.display = 'none';
+    }
+
+    handleGroupDeleteSubmit(e) {
+        e.preventDefault();
+
+        const form = e.target;
+        const mode = form.querySelector('input[name="group-delete-mode"]:checked').value;
+        const target = form.elements.namedItem('target').value;
+        this.closeGroupDeleteDialog();
+        this.deleteGroup(form.dataset.group, mode, target);
+    }
+
+    /**
+     * Remove a group and deal with its tasks as one undo step.
+     * mode: 'move' (to `target`), 'clear' (no group) or 'delete' (to the
+     * trash, without a group so they don't come back into a missing one).
+     */
+    deleteGroup(groupName, mode, target = '') {
+        if (mode === 'move' && !this.groups.includes(target)) return;
+
+        const affected = this.tasks.filter(task => task.group === groupName);
+        const affectedIds = affected.map(task => task.id);
+        const label = 'Remove group';
+        let result;
+        this.history.batch(label, () => {
+            if (affected.length > 0) {
+                this.recordTaskChange(label, affectedIds, () => {
+                    affected.forEach(task => {
+                        task.updateGroup(mode === 'move' ? target : '');
+                        if (mode === 'delete') task.moveToTrash();
+                    });
+                });
+            }
+            result = this.recordGroupChange(label, () => this.userStore.removeGroup(groupName));
+        });
+        if (!result.ok) return this.showNotification(result.error, 'error');
+
+        if (mode === 'delete') affected.forEach(task => this.expandedTasks.delete(task.id));
+        this.saveTasks(affected);
+        if (this.currentFilter.group === groupName) this.currentFilter.group = 'all';
+
+        this.loadGroups();
+        this.updateGroupDropdown();
+        this.applyFilters();
+        this.updateProgress();
+
+        const count = `${affected.length} task${affected.length === 1 ? '' : 's'}`;
+        const messages = {
+            move: `Group removed, ${count} moved to "${target}"`,
+            clear: affected.length > 0 ? `Group removed, ${count} kept without a group` : 'Group removed successfully!',
+            delete: `Group removed, ${count} moved to the trash`
+        };
+        this.showNotification(messages[mode], 'success', this.undoAction());
+    }
+
+    /**
+     * Filter by group
+     */
+    filterByGroup(group) {
+        this.currentFilter.group = group;
+        this.currentFilter.dateRange = null;
+        this.currentFilter.bin = null;
+        this.applyFilters();
+        this.updateActiveNavItem([...this.groupsContainer.querySelectorAll('.group-item')].find(item => item.dataset.group === group));
+    }
+
+    /**
+     * Every tag in use, with how many tasks carry it, sorted by name
+     */
+    getTagCounts() {
+        const counts = new Map();
+        this.getLiveTasks().forEach(task => {
+            task.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+        return new Map([...counts.entries()].sort((a, b) => a[0].localeCompare(b[0])));
+    }
+
+    /**
+     * Stable color hue (0-359) for a tag, so its chips look the same everywhere
+     */
+    getTagHue(tag) {
+        let hash = 0;
+        for (let i = 0; i < tag.length; i++) {
+            hash = (hash * 31 + tag.charCodeAt(i)) % 360;
+        }
+        return hash;
+    }
+
+    /**
+     * Render the sidebar tag cloud; more used tags are drawn larger
+     */
+    renderTagCloud() {
+        if (!this.tagsContainer) return;
 
-            this._positionExportDropdown = positionExportDropdown;
+        const counts = this.getTagCounts();
+        // Keep selected tags visible so they can be cleared after their last task goes
+        this.currentFilter.tags.forEach(tag => {
+            if (!counts.has(tag)) counts.set(tag, 0);
+        });
 
-            this.exportBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
+        if (this.tagModeBtn) {
+            const all = this.currentFilter.tagMode === 'all';
+            this.tagModeBtn.textContent = all ? 'Match all' : 'Match any';
+            this.tagModeBtn.setAttribute('aria-pressed', all ? 'true' : 'false');
+        }
 
-                // Move dropdown into body so it's not clipped by parent stacking contexts
-                if (this.exportDropdown && !this.exportDropdown._movedToBody) {
-                    this.exportDropdown._originalParent = this.exportDropdown.parentNode;
-                    this.exportDropdown._nextSibling = this.exportDropdown.nextSibling;
-                    document.body.appendChild(this.exportDropdown);
-                    this.exportDropdown._movedToBody = true;
-                }
+        if (counts.size === 0) {
+            this.tagsContainer.innerHTML = '<div class="tags-empty">No tags yet</div>';
+            return;
+        }
 
-                if (!this.exportDropdown) return;
-                this.exportDropdown.classList.toggle('show');
+        const max = Math.max(...counts.values(), 1);
+        this.tagsContainer.innerHTML = [...counts.entries()].map(([tag, count]) => {
+            const attr = this.escapeHtml(tag);
+            const size = (0.8 + 0.4 * (count / max)).toFixed(2);
+            const selected = this.currentFilter.tags.includes(tag);
+            return `
+                <span class="tag-cloud-item ${selected ? 'active' : ''}" data-tag="${attr}" style="--tag-hue: ${this.getTagHue(tag)}; font-size: ${size}rem">
+                    <button type="button" class="tag-cloud-name" data-tag-action="filter" aria-pressed="${selected}">#${this.escapeHtml(tag)} <span class="tag-count">${count}</span></button>
+                    <button type="button" class="tag-cloud-rename" data-tag-action="rename" title="Rename or merge tag"><i class="fas fa-pen"></i></button>
+                </span>
+            `;
+        }).join('');
+    }
 
-                if (this.exportDropdown.classList.contains('show')) {
-                    positionExportDropdown();
-                    window.addEventListener('resize', this._positionExportDropdown);
-                    window.addEventListener('scroll', this._positionExportDropdown, true);
-                } else {
-                    window.removeEventListener('resize', this._positionExportDropdown);
-                    window.removeEventListener('scroll', this._positionExportDropdown, true);
-                }
-            });
+    /**
+     * Clicks in the tag cloud: select a tag or rename it
+     */
+    handleTagCloudClick(e) {
+        const button = e.target.closest('[data-tag-action]');
+        const item = e.target.closest('.tag-cloud-item');
+        if (!button || !item) return;
+
+        if (button.dataset.tagAction === 'rename') {
+            this.renameTag(item.dataset.tag);
+        } else {
+            this.toggleTagFilter(item.dataset.tag);
         }
+    }
 
-        if (this.printOption) {
-            this.printOption.addEventListener('click', () => {
-                // close and restore dropdown
-                if (this.exportDropdown) this.exportDropdown.classList.remove('show');
-                if (this.exportDropdown && this.exportDropdown._movedToBody) {
-                    const parent = this.exportDropdown._originalParent || document.querySelector('.export-dropdown');
-                    parent.insertBefore(this.exportDropdown, this.exportDropdown._nextSibling || null);
-                    this.exportDropdown._movedToBody = false;
-                    this.exportDropdown.style.position = '';
-                    this.exportDropdown.style.left = '';
-                    this.exportDropdown.style.top = '';
-                    this.exportDropdown.style.minWidth = '';
-                    this.exportDropdown.style.zIndex = '';
-                }
-                window.removeEventListener('resize', this._positionExportDropdown);
-                window.removeEventListener('scroll', this._positionExportDropdown, true);
-                this.printTasks();
-            });
+    /**
+     * Add a tag to the tag filter, or remove it if already selected
+     */
+    toggleTagFilter(tag) {
+        const tags = this.currentFilter.tags;
+        this.currentFilter.tags = tags.includes(tag) ? tags.filter(t => t !== tag) : [...tags, tag];
+        this.applyFilters();
+    }
+
+    /**
+     * Switch the tag filter between matching any and all selected tags
+     */
+    toggleTagMode() {
+        this.currentFilter.tagMode = this.currentFilter.tagMode === 'all' ? 'any' : 'all';
+        this.applyFilters();
+    }
+
+    /**
+     * Rename a tag on every task; renaming to a tag that already exists merges the two
+     */
+    renameTag(oldTag) {
+        const input = prompt(`Rename tag "${oldTag}" to:`, oldTag);
+        if (input === null) return;
+
+        const [newTag] = Task.normalizeTags([input]);
+        if (!newTag) {
+            this.showNotification('Tag name cannot be empty', 'error');
+            return;
         }
+        if (newTag === oldTag) return;
 
-        if (this.pdfOption) {
-            this.pdfOption.addEventListener('click', () => {
-                if (this.exportDropdown) this.exportDropdown.classList.remove('show');
-                if (this.exportDropdown && this.exportDropdown._movedToBody) {
-                    const parent = this.exportDropdown._originalParent || document.querySelector('.export-dropdown');
-                    parent.insertBefore(this.exportDropdown, this.exportDropdown._nextSibling || null);
-                    this.exportDropdown._movedToBody = false;
-                    this.exportDropdown.style.position = '';
-                    this.exportDropdown.style.left = '';
-                    this.exportDropdown.style.top = '';
-                    this.exportDropdown.style.minWidth = '';
-                    this.exportDropdown.style.zIndex = '';
-                }
-                window.removeEventListener('resize', this._positionExportDropdown);
-                window.removeEventListener('scroll', this._positionExportDropdown, true);
-                this.saveAsPDF();
-            });
+        const affected = this.tasks.filter(task => task.tags.includes(oldTag));
+        const merging = this.tasks.some(task => task.tags.includes(newTag));
+        if (merging && !confirm(`Tag "${newTag}" already exists. Merge "${oldTag}" into it?`)) return;
+
+        this.recordTaskChange(merging ? 'Merge tags' : 'Rename tag', affected.map(task => task.id), () => {
+            affected.forEach(task => task.updateTags(task.tags.map(tag => (tag === oldTag ? newTag : tag))));
+        });
+        if (this.currentFilter.tags.includes(oldTag)) {
+            this.currentFilter.tags = Task.normalizeTags(this.currentFilter.tags.map(tag => (tag === oldTag ? newTag : tag)));
         }
 
-        // Close export dropdown when clicking outside
-        document.addEventListener('click', (e) => {
-            if (this.exportDropdown && !this.exportBtn.contains(e.target) && !this.exportDropdown.contains(e.target)) {
-                this.exportDropdown.classList.remove('show');
-                if (this.exportDropdown && this.exportDropdown._movedToBody) {
-                    const parent = this.exportDropdown._originalParent || document.querySelector('.export-dropdown');
-                    parent.insertBefore(this.exportDropdown, this.exportDropdown._nextSibling || null);
-                    this.exportDropdown._movedToBody = false;
-                    this.exportDropdown.style.position = '';
-                    this.exportDropdown.style.left = '';
-                    this.exportDropdown.style.top = '';
-                    this.exportDropdown.style.minWidth = '';
-                    this.exportDropdown.style.zIndex = '';
-                }
-                window.removeEventListener('resize', this._positionExportDropdown);
-                window.removeEventListener('scroll', this._positionExportDropdown, true);
+        this.saveTasks(affected);
+        this.applyFilters();
+        const count = `${affected.length} task${affected.length === 1 ? '' : 's'}`;
+        this.showNotification(merging ? `Merged "${oldTag}" into "${newTag}" on ${count}` : `Renamed tag on ${count}`, 'success');
+    }
+
+    /**
+     * Suggest existing tags while typing in a comma separated tags input.
+     * The suggestion list is the element named by the input's aria-controls.
+     */
+    setupTagAutocomplete(input) {
+        const list = document.getElementById(input.getAttribute('aria-controls'));
+        if (!list) return;
+
+        const splitAt = () => input.value.lastIndexOf(',') + 1;
+        const hide = () => {
+            list.hidden = true;
+            list.innerHTML = '';
+            input.setAttribute('aria-expanded', 'false');
+        };
+        const choose = tag => {
+            const head = input.value.slice(0, splitAt());
+            input.value = `${head}${head ? ' ' : ''}${tag}, `;
+            hide();
+            input.focus();
+        };
+        const show = () => {
+            const part = input.value.slice(splitAt()).trim().replace(/^#+/, '').toLowerCase();
+            const entered = Task.normalizeTags(input.value.slice(0, splitAt()));
+            const counts = this.getTagCounts();
+            const matches = [...counts.keys()]
+                .filter(tag => !entered.includes(tag) && tag.includes(part))
+                // Prefix matches first, then the most used
+                .sort((a, b) => (b.startsWith(part) - a.startsWith(part)) || (counts.get(b) - counts.get(a)))
+                .slice(0, 8);
+            if (matches.length === 0) return hide();
+
+            list.innerHTML = matches.map(tag => `
+                <li role="option" data-tag="${this.escapeHtml(tag)}" style="--tag-hue: ${this.getTagHue(tag)}">
+                    #${this.escapeHtml(tag)} <span class="tag-count">${counts.get(tag)}</span>
+                </li>
+            `).join('');
+            list.hidden = false;
+            input.setAttribute('aria-expanded', 'true');
+        };
+
+        input.addEventListener('input', show);
+        input.addEventListener('focus', show);
+        input.addEventListener('blur', hide);
+        // mousedown, not click, so the input keeps focus
+        list.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('[data-tag]');
+            e.preventDefault();
+            if (option) choose(option.dataset.tag);
+        });
+        input.addEventListener('keydown', (e) => {
+            if (list.hidden) return;
+            const options = [...list.querySelectorAll('[role="option"]')];
+            const current = options.findIndex(option => option.classList.contains('active'));
+
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                const next = (current + step + options.length + (current === -1 && step === -1 ? 1 : 0)) % options.length;
+                options.forEach((option, index) => {
+                    option.classList.toggle('active', index === next);
+                    option.setAttribute('aria-selected', index === next ? 'true' : 'false');
+                });
+            } else if (e.key === 'Enter' && current !== -1) {
+                e.preventDefault();
+                choose(options[current].dataset.tag);
+            } else if (e.key === 'Escape') {
+                // Close the suggestions, not the dialog around them
+                e.stopPropagation();
+                hide();
             }
         });
+    }
 
-        // Group management
-        if (this.addGroupBtn) {
-            this.addGroupBtn.addEventListener('click', () => {
-                this.showAddGroupDialog();
-            });
-        }
+    /**
+     * Load saved filters from storage
+     */
+    loadSavedFilters() {
+        this.savedFilters = this.userStore.getSavedFilters();
+        this.renderSavedFilters();
+    }
 
-        // Empty state CTA
-        if (this.emptyStateCta) {
-            this.emptyStateCta.addEventListener('click', () => {
-                document.getElementById('task-title').focus();
-            });
+    /**
+     * Render saved filters in the sidebar
+     */
+    renderSavedFilters() {
+        if (!this.savedFiltersContainer) return;
+
+        if (this.savedFilters.length === 0) {
+            this.savedFiltersContainer.innerHTML = '<div class="saved-filters-empty">No saved filters yet</div>';
+            return;
         }
 
-        // Sidebar navigation
-        if (this.allTasksNav) {
-            this.allTasksNav.addEventListener('click', () => {
-                this.filterByAllTasks();
-            });
+        // Keep the highlight on the applied filter across re-renders
+        const active = this.savedFiltersContainer.querySelector('.saved-filter-item.active');
+        const activeId = active ? active.dataset.filterId : null;
+        const last = this.savedFilters.length - 1;
+        this.savedFiltersContainer.innerHTML = this.savedFilters.map((filter, index) => `
+            <div class="saved-filter-item${filter.id === activeId ? ' active' : ''}" data-filter-id="${filter.id}">
+                <span class="saved-filter-name"><i class="fas fa-filter"></i> ${this.escapeHtml(filter.name)}</span>
+                <span class="saved-filter-actions">
+                    <button type="button" class="btn btn-sm btn-secondary" data-filter-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}><i class="fas fa-arrow-up"></i></button>
+                    <button type="button" class="btn btn-sm btn-secondary" data-filter-action="down" title="Move down" ${index === last ? 'disabled' : ''}><i class="fas fa-arrow-down"></i></button>
+                    <button type="button" class="btn btn-sm btn-secondary" data-filter-action="rename" title="Rename"><i class="fas fa-pen"></i></button>
+                    <button type="button" class="btn btn-sm btn-danger" data-filter-action="delete" title="Delete"><i class="fas fa-times"></i></button>
+                </span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Clicks in the saved filters list: an action button, or the filter itself
+     */
+    handleSavedFilterClick(e) {
+        const item = e.target.closest('.saved-filter-item');
+        if (!item) return;
+
+        const id = item.dataset.filterId;
+        const button = e.target.closest('[data-filter-action]');
+        if (!button) {
+            this.applySavedFilter(id);
+            return;
         }
 
-        if (this.todayNav) {
-            this.todayNav.addEventListener('click', () => {
-                console.log('Today nav clicked');
-                this.filterByToday();
-            });
+        switch (button.dataset.filterAction) {
+            case 'up':
+                this.moveSavedFilter(id, -1);
+                break;
+            case 'down':
+                this.moveSavedFilter(id, 1);
+                break;
+            case 'rename':
+                this.renameSavedFilter(id);
+                break;
+            case 'delete':
+                this.deleteSavedFilter(id);
+                break;
         }
+    }
 
+    /**
+     * Reason a saved filter name can't be used, or null if it is fine
+     */
+    validateSavedFilterName(name, ignoreId = null) {
+        if (!name) return 'Filter name cannot be empty';
+        if (name.length > 50) return 'Filter name cannot exceed 50 characters';
+        const taken = this.savedFilters.some(filter =>
+            filter.id !== ignoreId && filter.name.toLowerCase() === name.toLowerCase()
+        );
+        return taken ? 'A saved filter with that name already exists' : null;
+    }
 
+    /**
+     * Persist a new saved filters list and redraw the sidebar
+     */
+    updateSavedFilters(savedFilters) {
+        const result = this.userStore.setSavedFilters(savedFilters);
+        if (result.ok) {
+            this.savedFilters = result.savedFilters;
+            this.renderSavedFilters();
+        }
+        return result;
+    }
 
-        // Task form submission
-        const taskForm = document.getElementById('task-form');
-        if (taskForm) {
-            taskForm.addEventListener('submit', (e) => this.handleTaskSubmit(e));
+    /**
+     * Save the current filter, search and sort under a name
+     */
+    saveCurrentFilter() {
+        const input = prompt('Name this filter:');
+        if (input === null) return;
+
+        const name = input.trim();
+        const error = this.validateSavedFilterName(name);
+        if (error) {
+            this.showNotification(error, 'error');
+            return;
         }
 
-        // Filter and search controls
-        document.getElementById('status-filter').addEventListener('change', (e) => {
-            this.currentFilter.status = e.target.value;
-            this.applyFilters();
-        });
+        const { status, priority, search, sort, group, dateRange, tags, tagMode } = this.currentFilter;
+        const filter = {
+            id: `filter_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 5)}`,
+            name,
+            filter: { status, priority, search, sort, group, smartView: dateRange ? dateRange.view : null, tags: tags.slice(), tagMode }
+        };
+        const result = this.updateSavedFilters([...this.savedFilters, filter]);
+        if (result.ok) {
+            this.updateActiveNavItem(this.savedFiltersContainer.querySelector(`[data-filter-id="${filter.id}"]`));
+            this.showNotification(`Filter "${name}" saved`, 'success');
+        } else {
+            this.showNotification(result.error, 'error');
+        }
+    }
 
-        document.getElementById('priority-filter').addEventListener('change', (e) => {
-            this.currentFilter.priority = e.target.value;
-            this.applyFilters();
-        });
+    /**
+     * Restore every filter control from a saved filter
+     */
+    applySavedFilter(id) {
+        const saved = this.savedFilters.find(filter => filter.id === id);
+        if (!saved) return;
 
-        document.getElementById('sort-filter').addEventListener('change', (e) => {
-            this.currentFilter.sort = e.target.value;
-            this.applyFilters();
-        });
+        const filter = saved.filter;
+        const range = TaskManager.SMART_VIEWS[filter.smartView];
+        this.currentFilter = {
+            status: ['all', 'active', 'completed'].includes(filter.status) ? filter.status : 'all',
+            priority: ['all', 'High', 'Medium', 'Low'].includes(filter.priority) ? filter.priority : 'all',
+            search: typeof filter.search === 'string' ? filter.search : '',
+            sort: typeof filter.sort === 'string' ? filter.sort : 'created',
+            // A group deleted since the filter was saved would hide everything
+            group: this.groups.includes(filter.group) ? filter.group : 'all',
+            dateRange: range ? { view: filter.smartView, ...range } : null,
+            tags: Task.normalizeTags(filter.tags),
+            tagMode: filter.tagMode === 'all' ? 'all' : 'any',
+            bin: null
+        };
+        this.syncFilterControls();
+        this.updateActiveNavItem(this.savedFiltersContainer.querySelector(`[data-filter-id="${id}"]`));
+        this.applyFilters();
+        this.showNotification(`Showing "${saved.name}"`, 'info');
+    }
 
-        document.getElementById('search-input').addEventListener('input', (e) => {
-            this.currentFilter.search = e.target.value.toLowerCase();
-            this.applyFilters();
-        });
+    renameSavedFilter(id) {
+        const saved = this.savedFilters.find(filter => filter.id === id);
+        if (!saved) return;
 
-        // Task list event delegation
-        const taskList = document.getElementById('task-list');
-        taskList.addEventListener('click', (e) => this.handleTaskClick(e));
-        taskList.addEventListener('dblclick', (e) => this.handleTaskDoubleClick(e));
-        taskList.addEventListener('dragstart', (e) => this.handleDragStart(e));
-        taskList.addEventListener('dragover', (e) => this.handleDragOver(e));
-        taskList.addEventListener('drop', (e) => this.handleDrop(e));
-        taskList.addEventListener('dragend', (e) => this.handleDragEnd(e));
+        const input = prompt('Rename filter:', saved.name);
+        if (input === null) return;
+
+        const name = input.trim();
+        if (name === saved.name) return;
+        const error = this.validateSavedFilterName(name, id);
+        if (error) {
+            this.showNotification(error, 'error');
+            return;
+        }
+
+        const result = this.updateSavedFilters(this.savedFilters.map(filter =>
+            filter.id === id ? Object.assign({}, filter, { name }) : filter
+        ));
+        this.showNotification(result.ok ? 'Filter renamed' : result.error, result.ok ? 'success' : 'error');
     }
 
     /**
-     * Bootstrap view based on session state
+     * Move a saved filter up (-1) or down (1) in the sidebar
      */
-    bootstrapView() {
-        try {
-            const sessionUser = this.userStore.getCurrentUser();
-            if (sessionUser) {
-                // Show dashboard
-                this.authSection.style.display = 'none';
-                this.authSection.classList.add('hidden');
-                this.dashboardSection.style.display = 'block';
-                this.dashboardSection.classList.remove('hidden');
-                
-                if (this.currentUsernameEl) this.currentUsernameEl.textContent = sessionUser.username;
-                if (this.sidebarUsername) this.sidebarUsername.textContent = sessionUser.username;
-                
-                this.loadTasks();
-                this.loadGroups();
-                this.updateGroupDropdown();
-                this.applyFilters();
-                this.updateProgress();
-                
-                const titleInput = document.getElementById('task-title');
-                if (titleInput) titleInput.focus();
-            } else {
-                // Show auth
-                this.authSection.style.display = 'flex';
-                this.authSection.classList.remove('hidden');
-                this.dashboardSection.style.display = 'none';
-                this.dashboardSection.classList.add('hidden');
-                this.toggleAuthTab('login');
-            }
-        } catch (error) {
-            console.error('Error in bootstrapView:', error);
-            // Fallback: show auth screen
-            this.authSection.style.display = 'flex';
-            this.authSection.classList.remove('hidden');
-            this.dashboardSection.style.display = 'none';
-            this.dashboardSection.classList.add('hidden');
-        } finally {
-            // Always hide preloader
-            this.hidePreloader();
-        }
+    moveSavedFilter(id, offset) {
+        const index = this.savedFilters.findIndex(filter => filter.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.savedFilters.length) return;
+
+        const savedFilters = this.savedFilters.slice();
+        [savedFilters[index], savedFilters[target]] = [savedFilters[target], savedFilters[index]];
+        this.updateSavedFilters(savedFilters);
     }
 
-    /** Hide preloader with fade-out */
-    hidePreloader() {
-        if (!this.preloader) return;
-        this.preloader.classList.add('hidden');
-        // Remove from flow after transition
-        setTimeout(() => {
-            if (this.preloader && this.preloader.parentNode) {
-                this.preloader.parentNode.removeChild(this.preloader);
-            }
-        }, 500);
+    deleteSavedFilter(id) {
+        const saved = this.savedFilters.find(filter => filter.id === id);
+        if (!saved || !confirm(`Are you sure you want to delete the filter "${saved.name}"?`)) return;
+
+        const result = this.updateSavedFilters(this.savedFilters.filter(filter => filter.id !== id));
+        this.showNotification(result.ok ? 'Filter deleted' : result.error, result.ok ? 'success' : 'error');
     }
 
     /**
-     * Filter by all tasks
+     * Update group dropdown in task form
      */
-    filterByAllTasks() {
-        this.currentFilter.today = false;
-        this.currentFilter.status = 'all';
-        this.currentFilter.priority = 'all';
-        this.currentFilter.group = 'all';
-        this.currentFilter.search = '';
-        this.updateActiveNavItem('all-tasks-nav');
-        this.applyFilters();
+    updateGroupDropdown() {
+        const groupSelect = document.getElementById('task-group');
+        if (!groupSelect) return;
+
+        // Clear existing options except the first one
+        groupSelect.innerHTML = '<option value="">Select Group</option>';
         
-        // Reset the task list display
-        const taskList = document.getElementById('task-list');
-        const emptyState = document.getElementById('empty-state');
-        if (taskList && emptyState) {
-            taskList.style.display = 'grid';
-            emptyState.style.display = 'none';
+        // Add group options, sub-projects indented under their parent
+        this.getGroupTree().forEach(({ group, depth }) => {
+            const option = document.createElement('option');
+            option.value = group;
+            option.textContent = this.getGroupOptionLabel(group, depth);
+            groupSelect.appendChild(option);
+        });
+
+        // Same tree in the bulk bar, after its "No group" choice
+        const bulkGroup = document.getElementById('bulk-group');
+        if (bulkGroup) {
+            bulkGroup.innerHTML = '<option value="">Move to group...</option><option value="">No group</option>';
+            this.getGroupTree().forEach(({ group, depth }) => {
+                const option = document.createElement('option');
+                option.value = group;
+                option.textContent = this.getGroupOptionLabel(group, depth);
+                bulkGroup.appendChild(option);
+            });
         }
     }
 
     /**
-     * Filter by today's tasks
+     * Print tasks
      */
-    filterByToday() {
-        console.log('filterByToday called');
-        this.currentFilter.today = true;
-        this.currentFilter.status = 'all'; // Reset status filter when using today
-        this.updateActiveNavItem('today-nav');
-        this.applyFilters();
-        this.showNotification('Showing today\'s tasks', 'info');
+    printTasks() {
+        const printWindow = window.open('', '_blank');
+        const tasks = this.filteredTasks.length > 0 ? this.filteredTasks : this.getLiveTasks();
+        
+        const printContent = `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <title>Task List - ${new Date().toLocaleDateString()}</title>
+                <style>
+                    body { font-family: Arial, sans-serif; margin: 20px; }
+                    .header { text-align: center; margin-bottom: 30px; }
+                    .task { margin-bottom: 10px; padding: 10px; border: 1px solid #ddd; }
+                    .completed { text-decoration: line-through; opacity: 0.7; }
+                    .priority { font-weight: bold; }
+                    .group { color: #666; }
+                    .notes { margin-top: 6px; font-size: 0.9em; }
+                    .notes pre { background: #f4f4f5; padding: 6px; white-space: pre-wrap; }
+                    .notes blockquote { margin: 0; padding-left: 8px; border-left: 3px solid #ddd; color: #555; }
+                </style>
+            </head>
+            <body>
+                <div class="header">
+                    <h1>Task List</h1>
+                    <p>Generated on ${new Date().toLocaleDateString()}</p>
+                </div>
+                ${tasks.map(task => `
+                    <div class="task ${task.isCompleted ? 'completed' : ''}">
+                        <div class="priority">${task.priority}</div>
+                        <div>${this.escapeHtml(task.title)}</div>
+                        ${task.group ? `<div class="group">Group: ${this.escapeHtml(task.group)}</div>` : ''}
+                        ${task.dueDate ? `<div>Due: ${new Date(task.dueDate).toLocaleDateString()}</div>` : ''}
+                        ${task.description ? `<div class="notes">${Markdown.render(task.description)}</div>` : ''}
+                    </div>
+                `).join('')}
+            </body>
+            </html>
+        `;
+        
+        printWindow.document.write(printContent);
+        printWindow.document.close();
+        printWindow.print();
     }
 
     /**
-     * Update active navigation item
+     * Save as PDF
      */
-    updateActiveNavItem(activeId) {
-        // Remove active class from all nav items
-        document.querySelectorAll('.nav-item').forEach(item => {
-            item.classList.remove('active');
-        });
-        
-        // Add active class to the specified nav item
-        const activeItem = document.getElementById(activeId);
-        if (activeItem) {
-            activeItem.classList.add('active');
-        }
-    }
-
+    saveAsPDF() {
+        if (!this.userStore.isUnlocked()) return;
 
-    /** Toggle between login and signup tabs */
-    toggleAuthTab(which) {
-        if (!this.loginTab || !this.signupTab) return;
-        const makeActive = (el, active) => el.classList.toggle('active', active);
-        makeActive(this.loginTab, which === 'login');
-        makeActive(this.signupTab, which === 'signup');
-        this.loginForm.classList.toggle('active', which === 'login');
-        this.signupForm.classList.toggle('active', which === 'signup');
+        const tasks = this.filteredTasks.length > 0 ? this.filteredTasks : this.getLiveTasks();
+        const current = this.userStore.getCurrentUser();
+        const pdf = this.buildTaskReport(tasks, current.username);
+        this.downloadFile(`tasks-${current.username}-${RecurrenceRule.formatDate(new Date())}.pdf`, pdf.build(), 'application/pdf');
+        this.showNotification('PDF saved', 'success');
     }
 
     /**
-     * Handle task form submission
+     * Lay out a task list report: header, progress summary, then tasks by group
      */
-    handleTaskSubmit(e) {
-        e.preventDefault();
-        
-        const titleInput = document.getElementById('task-title');
-        const prioritySelect = document.getElementById('task-priority');
-        const groupSelect = document.getElementById('task-group');
-        const dueDateInput = document.getElementById('task-due-date');
+    buildTaskReport(tasks, username) {
+        const pdf = new PdfDocument();
+        const margin = 48;
+        const contentWidth = pdf.width - margin * 2;
+        const bottom = pdf.height - margin;
+        const colors = {
+            text: [30, 41, 59],
+            muted: [100, 116, 139],
+            border: [226, 232, 240],
+            primary: [37, 99, 235],
+            track: [219, 234, 254],
+            danger: [239, 68, 68],
+            success: [16, 185, 129],
+            High: [239, 68, 68],
+            Medium: [245, 158, 11],
+            Low: [16, 185, 129]
+        };
+        pdf.info = { Title: `Task List - ${username}`, Producer: 'Task Manager' };
+
+        // Header
+        pdf.addPage();
+        let y = margin + 20;
+        pdf.text(margin, y, 'Task List', { size: 22, bold: true, color: colors.text });
+        y += 20;
+        const generated = new Date().toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+        pdf.text(margin, y, `${username} \u2022 ${generated}`, { size: 11, color: colors.muted });
+
+        // Progress summary, as in the dashboard
+        const stats = this.getProgressStats();
+        y += 28;
+        pdf.text(margin, y, `Total: ${stats.totalTasks}    Completed: ${stats.completedTasks}    Pending: ${stats.pendingTasks}`,
+            { size: 11, bold: true, color: colors.text });
+        pdf.text(margin + contentWidth - pdf.measure(`${stats.progressPercentage}% complete`, 11, true), y,
+            `${stats.progressPercentage}% complete`, { size: 11, bold: true, color: colors.primary });
+        y += 10;
+        pdf.rect(margin, y, contentWidth, 6, colors.track);
+        if (stats.progressPercentage > 0) {
+            pdf.rect(margin, y, contentWidth * stats.progressPercentage / 100, 6, colors.primary);
+        }
+        y += 26;
 
-        const title = titleInput.value.trim();
-        const priority = prioritySelect.value;
-        const group = groupSelect.value || '';
-        const dueDate = dueDateInput.value || null;
+        const ensureSpace = height => {
+            if (y + height > bottom) {
+                pdf.addPage();
+                y = margin;
+            }
+        };
 
-        // Validate title
-        if (!title) {
-            this.showNotification('Task title is required!', 'error');
-            titleInput.focus();
-            return;
+        if (tasks.length === 0) {
+            pdf.text(margin, y, 'No tasks to show.', { size: 11, color: colors.muted });
         }
 
-        // Validate priority
-        if (!priority) {
-            this.showNotification('Please select a priority!', 'error');
-            prioritySelect.focus();
-            return;
-        }
+        // Sections follow the sidebar's group order; ungrouped tasks go last
+        const sectionNames = [...new Set([
+            ...this.groups.filter(group => tasks.some(task => task.group === group)),
+            ...tasks.map(task => task.group).filter(Boolean)
+        ])];
+        if (tasks.some(task => !task.group)) sectionNames.push('');
+
+        sectionNames.forEach(group => {
+            const sectionTasks = tasks.filter(task => (task.group || '') === group);
+            ensureSpace(60);
+            y += 6;
+            pdf.text(margin, y, `${group || 'No Group'} (${sectionTasks.length})`, { size: 14, bold: true, color: colors.text });
+            y += 8;
+            pdf.line(margin, y, margin + contentWidth, y, colors.border, 1);
+            y += 16;
+
+            sectionTasks.forEach(task => {
+                const titleLines = pdf.wrap(task.title, contentWidth - 30, 11, true);
+                const meta = [task.priority];
+                if (task.dueDate) meta.push(`Due ${task.getFormattedDueDate()}`);
+                const rule = task.getRecurrenceRule();
+                if (rule) meta.push(rule.describe());
+                const progress = task.getSubtaskProgress();
+                if (progress.total > 0) meta.push(`${progress.done}/${progress.total} checklist items`);
+                const overdue = task.isOverdue();
+                const rowHeight = titleLines.length * 14 + 18;
+
+                ensureSpace(rowHeight);
+                const top = y - 11;
+                pdf.rect(margin, top, 3, rowHeight - 6, colors[task.priority] || colors.muted);
+
+                // Checkbox
+                pdf.line(margin + 10, top + 1, margin + 20, top + 1, colors.muted, 0.8);
+                pdf.line(margin + 20, top + 1, margin + 20, top + 11, colors.muted, 0.8);
+                pdf.line(margin + 20, top + 11, margin + 10, top + 11, colors.muted, 0.8);
+                pdf.line(margin + 10, top + 11, margin + 10, top + 1, colors.muted, 0.8);
+                if (task.isCompleted) {
+                    pdf.line(margin + 12, top + 6, margin + 14.5, top + 9, colors.success, 1.5);
+                    pdf.line(margin + 14.5, top + 9, margin + 18.5, top + 3, colors.success, 1.5);
+                }
 
-        // Group is optional - no validation needed
+                titleLines.forEach((line, index) => {
+                    const lineY = y + index * 14;
+                    pdf.text(margin + 28, lineY, line, { size: 11, bold: true, color: task.isCompleted ? colors.muted : colors.text });
+                    if (task.isCompleted) {
+                        const width = pdf.measure(line, 11, true);
+                        pdf.line(margin + 28, lineY - 3.5, margin + 28 + width, lineY - 3.5, colors.muted, 0.8);
+                    }
+                });
+
+                const metaY = y + titleLines.length * 14;
+                const metaText = meta.join('  \u2022  ');
+                pdf.text(margin + 28, metaY, metaText, { size: 9, color: colors.muted });
+                if (overdue) {
+                    pdf.text(margin + 28 + pdf.measure(`${metaText}  `, 9), metaY, 'OVERDUE', { size: 9, bold: true, color: colors.danger });
+                }
 
-        // Create new task
-        const task = new Task(title, priority, dueDate, group);
-        this.addTask(task);
+                y += rowHeight;
+
+                // Notes follow the row as plain text, breaking across pages if long
+                if (task.description) {
+                    y -= 4;
+                    pdf.wrap(Markdown.toPlainText(task.description), contentWidth - 28, 9).forEach(line => {
+                        ensureSpace(12);
+                        pdf.text(margin + 28, y, line, { size: 9, color: colors.text });
+                        y += 12;
+                    });
+                    y += 6;
+                }
+            });
+            y += 6;
+        });
 
-        // Reset form
-        const taskForm = document.getElementById('task-form');
-        taskForm.reset();
-        titleInput.focus();
+        // Page numbers, once the page count is known
+        const pageCount = pdf.pages.length;
+        for (let index = 0; index < pageCount; index++) {
+            const label = `Page ${index + 1} of ${pageCount}`;
+            pdf.setPage(index);
+            pdf.text(pdf.width - margin - pdf.measure(label, 9), pdf.height - margin / 2, label, { size: 9, color: colors.muted });
+        }
 
-        this.showNotification('Task added successfully!', 'success');
+        return pdf;
     }
 
     /**
-     * Add a new task
+     * Hide the export dropdown and move it back from <body>
      */
-    addTask(task) {
-        this.tasks.unshift(task);
-        this.saveTasks();
-        this.applyFilters();
-        this.updateProgress();
-        
-        console.log('Task added:', task.title, 'Total tasks:', this.tasks.length);
-        
-        // Visual entry effect for newest card
-        setTimeout(() => {
-            const firstCard = document.querySelector('#task-list .task-card');
-            if (firstCard) firstCard.classList.add('just-added');
-        }, 100);
+    closeExportDropdown() {
+        if (!this.exportDropdown) return;
+        this.exportDropdown.classList.remove('show');
+        if (this.exportDropdown._movedToBody) {
+            const parent = this.exportDropdown._originalParent || document.querySelector('.export-dropdown');
+            parent.insertBefore(this.exportDropdown, this.exportDropdown._nextSibling || null);
+            this.exportDropdown._movedToBody = false;
+            this.exportDropdown.style.position = '';
+            this.exportDropdown.style.left = '';
+            this.exportDropdown.style.top = '';
+            this.exportDropdown.style.minWidth = '';
+            this.exportDropdown.style.zIndex = '';
+        }
+        window.removeEventListener('resize', this._positionExportDropdown);
+        window.removeEventListener('scroll', this._positionExportDropdown, true);
     }
 
     /**
-     * Update an existing task
+     * Identifies backup files written by exportJSON
      */
-    updateTask(taskId, updates) {
-        const taskIndex = this.tasks.findIndex(task => task.id === taskId);
-        if (taskIndex !== -1) {
-            const task = this.tasks[taskIndex];
-            
-            if (updates.title !== undefined) {
-                task.updateTitle(updates.title);
-            }
-            if (updates.priority !== undefined) {
-                task.updatePriority(updates.priority);
-            }
-            if (updates.dueDate !== undefined) {
-                task.updateDueDate(updates.dueDate);
-            }
-            if (updates.isCompleted !== undefined) {
-                task.isCompleted = updates.isCompleted;
-                task.updatedAt = new Date().toISOString();
-            }
-
-            this.saveTasks();
-            this.applyFilters();
-            this.updateProgress();
-        }
+    static get BACKUP_FORMAT() {
+        return 'task-manager-backup';
     }
 
     /**
-     * Delete a task
+     * Bump when the backup layout changes; older versions must stay importable
      */
-    deleteTask(taskId) {
-        if (confirm('Are you sure you want to delete this task?')) {
-            this.tasks = this.tasks.filter(task => task.id !== taskId);
-            this.saveTasks();
-            this.applyFilters();
-            this.updateProgress();
-            this.showNotification('Task deleted successfully!', 'success');
-        }
+    static get BACKUP_VERSION() {
+        return 1;
     }
 
     /**
-     * Toggle task completion
+     * Build a versioned backup document of the current user's tasks and groups
      */
-    toggleTaskCompletion(taskId) {
-        const task = this.tasks.find(task => task.id === taskId);
-        if (task) {
-            task.toggleCompletion();
-            this.saveTasks();
-            this.applyFilters();
-            this.updateProgress();
-        }
+    createBackup() {
+        const current = this.userStore.getCurrentUser();
+        return {
+            format: TaskManager.BACKUP_FORMAT,
+            version: TaskManager.BACKUP_VERSION,
+            exportedAt: new Date().toISOString(),
+            username: current ? current.username : null,
+            groups: this.userStore.getCurrentUserGroups().slice(),
+            groupSettings: JSON.parse(JSON.stringify(this.userStore.getGroupSettings())),
+            tasks: this.tasks.map(task => task.toJSON())
+        };
     }
 
     /**
-     * Handle task click events
+     * Download a JSON backup of the current user's data
      */
-    handleTaskClick(e) {
-        const taskCard = e.target.closest('.task-card');
-        if (!taskCard) return;
-
-        const taskId = taskCard.dataset.taskId;
+    exportJSON() {
+        if (!this.userStore.isUnlocked()) return;
 
-        if (e.target.classList.contains('task-checkbox')) {
-            this.toggleTaskCompletion(taskId);
-        } else if (e.target.classList.contains('btn-edit')) {
-            this.startInlineEdit(taskCard, taskId);
-        } else if (e.target.classList.contains('btn-delete')) {
-            this.deleteTask(taskId);
-        }
+        const backup = this.createBackup();
+        const date = RecurrenceRule.formatDate(new Date());
+        this.downloadFile(`tasks-${backup.username}-${date}.json`, JSON.stringify(backup, null, 2), 'application/json');
+        this.showNotification(`Exported ${backup.tasks.length} task${backup.tasks.length === 1 ? '' : 's'}`, 'success');
     }
 
     /**
-     * Handle task double-click for inline editing
+     * Save text content as a file through a temporary download link
      */
-    handleTaskDoubleClick(e) {
-        const taskCard = e.target.closest('.task-card');
-        if (taskCard && e.target.classList.contains('task-title')) {
-            const taskId = taskCard.dataset.taskId;
-            this.startInlineEdit(taskCard, taskId);
-        }
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
     }
 
     /**
-     * Start inline editing of task title
+     * Read a backup file chosen by the user and offer to import it
      */
-    startInlineEdit(taskCard, taskId) {
-        const titleElement = taskCard.querySelector('.task-title');
-        const currentTitle = titleElement.textContent;
-
-        const input = document.createElement('input');
-        input.type = 'text';
-        input.value = currentTitle;
-        input.className = 'task-title-edit';
-        input.maxLength = 100;
-
-        titleElement.style.display = 'none';
-        titleElement.parentNode.insertBefore(input, titleElement);
-
-        input.focus();
-        input.select();
+    async importJSONFile(file) {
+        if (!this.userStore.isUnlocked()) return;
 
-        const finishEdit = () => {
-            const newTitle = input.value.trim();
-            if (newTitle && newTitle !== currentTitle) {
-                this.updateTask(taskId, { title: newTitle });
-            }
-            input.remove();
-            titleElement.style.display = 'block';
-        };
+        let text;
+        try {
+            text = await file.text();
+        } catch (error) {
+            console.error('Failed to read import file:', error);
+            return this.showNotification('Could not read the file', 'error');
+        }
 
-        input.addEventListener('blur', finishEdit);
-        input.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') {
-                e.preventDefault();
-                finishEdit();
-            } else if (e.key === 'Escape') {
-                input.remove();
-                titleElement.style.display = 'block';
-            }
-        });
+        const result = this.parseBackup(text);
+        if (!result.ok) return this.showNotification(result.error, 'error');
+        this.showImportDialog(result, file.name);
     }
 
     /**
-     * Apply filters and search
+     * Parse and validate a backup document.
+     * Returns { ok, error } or { ok, tasks, groups, problems }; records that
+     * fail validation are left out and described in `problems`.
      */
-    applyFilters() {
-        let filtered = [...this.tasks];
-
-        console.log('Applying filters to', this.tasks.length, 'tasks');
-
-        // Filter by today's tasks
-        if (this.currentFilter.today) {
-            const today = new Date().toISOString().split('T')[0];
-            filtered = filtered.filter(task => task.dueDate === today);
-            console.log('Filtered by today:', filtered.length, 'tasks');
+    parseBackup(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return { ok: false, error: 'The file is not valid JSON' };
         }
 
-        // Filter by status
-        if (this.currentFilter.status === 'active') {
-            filtered = filtered.filter(task => !task.isCompleted);
-        } else if (this.currentFilter.status === 'completed') {
-            filtered = filtered.filter(task => task.isCompleted);
+        if (!data || typeof data !== 'object' || data.format !== TaskManager.BACKUP_FORMAT) {
+            return { ok: false, error: 'The file is not a Task Manager backup' };
         }
-
-        // Filter by priority
-        if (this.currentFilter.priority !== 'all') {
-            filtered = filtered.filter(task => task.priority === this.currentFilter.priority);
+        if (!Number.isInteger(data.version) || data.version < 1 || data.version > TaskManager.BACKUP_VERSION) {
+            return { ok: false, error: `Unsupported backup version: ${data.version}` };
         }
-
-        // Filter by group
-        if (this.currentFilter.group !== 'all') {
-            filtered = filtered.filter(task => task.group === this.currentFilter.group);
+        if (!Array.isArray(data.tasks)) {
+            return { ok: false, error: 'The backup has no task list' };
         }
-
-        // Filter by search
-        if (this.currentFilter.search) {
-            filtered = filtered.filter(task => 
-                task.title.toLowerCase().includes(this.currentFilter.search)
-            );
+        if (data.groups !== undefined && !Array.isArray(data.groups)) {
+            return { ok: false, error: 'The backup group list is malformed' };
+        }
+        if (data.groupSettings !== undefined && (!data.groupSettings || typeof data.groupSettings !== 'object' || Array.isArray(data.groupSettings))) {
+            return { ok: false, error: 'The backup group settings are malformed' };
         }
 
-        // Sort tasks
-        filtered = this.sortTasks(filtered);
-
-        this.filteredTasks = filtered;
-        console.log('Final filtered tasks:', this.filteredTasks.length);
-        
-        this.render();
-    }
-
-    /**
-     * Sort tasks based on current sort option
-     */
-    sortTasks(tasks) {
-        const sortBy = this.currentFilter.sort;
-        
-        return tasks.sort((a, b) => {
-            switch (sortBy) {
-                case 'due-date-asc':
-                    if (!a.dueDate && !b.dueDate) return 0;
-                    if (!a.dueDate) return 1;
-                    if (!b.dueDate) return -1;
-                    return new Date(a.dueDate) - new Date(b.dueDate);
-                
-                case 'due-date-desc':
-                    if (!a.dueDate && !b.dueDate) return 0;
-                    if (!a.dueDate) return 1;
-                    if (!b.dueDate) return -1;
-                    return new Date(b.dueDate) - new Date(a.dueDate);
-                
-                case 'priority':
-                    const priorityOrder = { 'High': 3, 'Medium': 2, 'Low': 1 };
-                    return priorityOrder[b.priority] - priorityOrder[a.priority];
-                
-                case 'title':
-                    return a.title.localeCompare(b.title);
-                
-                case 'created':
-                default:
-                    return new Date(b.createdAt) - new Date(a.createdAt);
+        const problems = [];
+        const tasks = [];
+        const seenIds = new Set();
+        data.tasks.forEach((record, index) => {
+            const name = record && typeof record.title === 'string' ? ` "${record.title}"` : '';
+            const reason = Task.validateJSON(record) || (seenIds.has(record.id) ? 'duplicate id in file' : null);
+            if (reason) {
+                problems.push(`Task ${index + 1}${name}: ${reason}`);
+                return;
             }
+            seenIds.add(record.id);
+            tasks.push(Task.fromJSON(record));
         });
-    }
-
-    /**
-     * Render tasks to DOM
-     */
-    render() {
-        const taskList = document.getElementById('task-list');
-        const emptyState = document.getElementById('empty-state');
-
-        if (!taskList || !emptyState) {
-            console.error('Task list or empty state elements not found');
-            return;
-        }
-
-        console.log('Rendering tasks:', this.filteredTasks.length, 'filtered tasks');
-
-        if (this.filteredTasks.length === 0) {
-            taskList.style.display = 'none';
-            emptyState.style.display = 'flex';
-            return;
-        }
-
-        taskList.style.display = 'grid';
-        emptyState.style.display = 'none';
-
-        taskList.innerHTML = this.filteredTasks.map(task => this.createTaskCard(task)).join('');
-        
-        console.log('Tasks rendered successfully');
-    }
-
-    /**
-     * Create HTML for a task card
-     */
-    createTaskCard(task) {
-        const isOverdue = task.isOverdue();
-        const formattedDueDate = task.getFormattedDueDate();
-        
-        return `
-            <div class="task-card ${task.isCompleted ? 'completed' : ''} ${isOverdue ? 'overdue' : ''}" 
-                 data-task-id="${task.id}" 
-                 draggable="true">
-                <div class="task-checkbox ${task.isCompleted ? 'checked' : ''}" 
-                     data-task-id="${task.id}"></div>
-                
-                <div class="task-content">
-                    <h3 class="task-title">${this.escapeHtml(task.title)}</h3>
-                    <div class="task-meta">
-                        <span class="task-priority ${task.priority.toLowerCase()}">${task.priority}</span>
-                        ${task.group ? `<span class="task-group"><i class="fas fa-tag"></i> ${this.escapeHtml(task.group)}</span>` : ''}
-                        ${formattedDueDate ? `
-                            <span class="task-due-date ${isOverdue ? 'overdue' : ''}">
-                                <i class="fas fa-calendar"></i> ${formattedDueDate}
-                            </span>
-                        ` : ''}
-                    </div>
-                </div>
-                
-                <div class="task-actions">
-                    <button class="btn btn-secondary btn-sm btn-edit" 
-                            data-task-id="${task.id}" 
-                            title="Edit task">
-                        <i class="fas fa-edit"></i>
-                    </button>
-                    <button class="btn btn-danger btn-sm btn-delete" 
-                            data-task-id="${task.id}" 
-                            title="Delete task">
-                        <i class="fas fa-trash"></i>
-                    </button>
-                </div>
-            </div>
-        `;
-    }
 
-    /**
-     * Escape HTML to prevent XSS
-     */
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
+        // The editor never lets dependencies form a loop, so a file can't either:
+        // links are added back one by one and the one closing a loop is dropped
+        const links = new Map(tasks.map(task => [task.id, task.blockedBy]));
+        tasks.forEach(task => { task.blockedBy = []; });
+        tasks.forEach(task => {
+            links.get(task.id).forEach(id => {
+                if (this.wouldCreateCycle(task.id, id, tasks)) {
+                    const blocker = tasks.find(t => t.id === id);
+                    problems.push(`Task "${task.title}": dropped its dependency on "${blocker.title}", which would form a loop`);
+                } else {
+                    task.blockedBy.push(id);
+                }
+            });
+        });
 
-    /**
-     * Update progress dashboard
-     */
-    updateProgress() {
-        const totalTasks = this.tasks.length;
-        const completedTasks = this.tasks.filter(task => task.isCompleted).length;
-        const pendingTasks = totalTasks - completedTasks;
-        const progressPercentage = totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0;
+        const groups = [];
+        (data.groups || []).forEach((group, index) => {
+            if (typeof group !== 'string' || !group.trim()) {
+                problems.push(`Group ${index + 1}: not a valid name`);
+            } else if (!groups.includes(group.trim())) {
+                groups.push(group.trim());
+            }
+        });
 
-        document.getElementById('total-tasks').textContent = totalTasks;
-        document.getElementById('completed-tasks').textContent = completedTasks;
-        document.getElementById('pending-tasks').textContent = pendingTasks;
-        const pctEl = document.getElementById('progress-percentage');
-        pctEl.textContent = `${progressPercentage}%`;
-        document.getElementById('progress-fill').style.width = `${progressPercentage}%`;
-        // Pulse feedback
-        pctEl.classList.remove('pulse');
-        // force reflow to restart animation
-        void pctEl.offsetWidth;
-        pctEl.classList.add('pulse');
+        // Only known colors and icons; anything else falls back to the default look.
+        // Parents must be other groups in the backup.
+        const groupSettings = {};
+        groups.forEach(group => {
+            const settings = data.groupSettings && data.groupSettings[group];
+            if (!settings || typeof settings !== 'object') return;
+            const clean = {};
+            if (TaskManager.GROUP_COLORS.includes(settings.color)) clean.color = settings.color;
+            if (TaskManager.GROUP_ICONS.includes(settings.icon)) clean.icon = settings.icon;
+            if (settings.parent !== group && groups.includes(settings.parent)) clean.parent = settings.parent;
+            if (settings.collapsed === true) clean.collapsed = true;
+            if (Object.keys(clean).length > 0) groupSettings[group] = clean;
+        });
+
+        return { ok: true, tasks, groups, groupSettings, problems };
     }
 
     /**
-     * Drag and Drop handlers
+     * Show what an import contains and let the user merge or replace
      */
-    handleDragStart(e) {
-        const taskCard = e.target.closest('.task-card');
-        if (taskCard) {
-            taskCard.classList.add('dragging');
-            e.dataTransfer.effectAllowed = 'move';
-            e.dataTransfer.setData('text/html', taskCard.outerHTML);
-            e.dataTransfer.setData('text/plain', taskCard.dataset.taskId);
-        }
+    showImportDialog(result, sourceName) {
+        if (!this.importModal) return;
+
+        const existingIds = new Set(this.tasks.map(task => task.id));
+        const duplicates = result.tasks.filter(task => existingIds.has(task.id)).length;
+        const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+        const groupCount = new Set([...result.groups, ...result.tasks.map(task => task.group).filter(Boolean)]).size;
+
+        document.getElementById('import-summary').textContent =
+            `${sourceName}: ${plural(result.tasks.length, 'task')} and ${plural(groupCount, 'group')} ready to import` +
+            (duplicates > 0 ? `, ${plural(duplicates, 'task')} already here.` : '.');
+
+        const problemList = document.getElementById('import-problems');
+        problemList.innerHTML = result.problems.map(problem => `<li>${this.escapeHtml(problem)}</li>`).join('');
+        problemList.style.display = result.problems.length > 0 ? 'block' : 'none';
+        document.getElementById('import-problems-heading').textContent =
+            result.problems.length > 0 ? `${plural(result.problems.length, 'problem')} found:` : '';
+
+        this.importModal.querySelector('input[name="import-mode"][value="merge"]').checked = true;
+        document.getElementById('import-confirm').disabled = result.tasks.length === 0 && result.groups.length === 0;
+
+        this.pendingImport = result;
+        this.importModal.style.display = 'flex';
+        document.getElementById('import-confirm').focus();
     }
 
-    handleDragOver(e) {
-        e.preventDefault();
-        e.dataTransfer.dropEffect = 'move';
-        const taskList = document.getElementById('task-list');
-        taskList.classList.add('drag-over');
+    closeImportDialog() {
+        if (!this.importModal) return;
+        this.importModal.style.display = 'none';
+        this.pendingImport = null;
     }
 
-    handleDrop(e) {
-        e.preventDefault();
-        const taskList = document.getElementById('task-list');
-        taskList.classList.remove('drag-over');
-        
-        const draggedTaskId = e.dataTransfer.getData('text/plain');
-        const afterElement = this.getDragAfterElement(taskList, e.clientY);
-        const draggedTask = this.tasks.find(task => task.id === draggedTaskId);
-        
-        if (draggedTask) {
-            // Remove from current position
-            this.tasks = this.tasks.filter(task => task.id !== draggedTaskId);
-            
-            // Insert at new position
-            if (afterElement == null) {
-                this.tasks.push(draggedTask);
-            } else {
-                const afterIndex = this.tasks.findIndex(task => task.id === afterElement.dataset.taskId);
-                this.tasks.splice(afterIndex, 0, draggedTask);
-            }
-            
-            this.saveTasks();
-            this.applyFilters();
-        }
+    /**
+     * Apply the pending import with the chosen mode
+     */
+    confirmImport() {
+        if (!this.pendingImport) return;
+
+        const mode = this.importModal.querySelector('input[name="import-mode"]:checked').value;
+        const { tasks, groups, groupSettings } = this.pendingImport;
+        this.closeImportDialog();
+
+        const { added, skipped } = this.importTasks(tasks, groups, mode, groupSettings);
+        const message = mode === 'replace'
+            ? `Replaced with ${added} imported task${added === 1 ? '' : 's'}`
+            : `Imported ${added} task${added === 1 ? '' : 's'}` + (skipped > 0 ? `, skipped ${skipped} already here` : '');
+        this.showNotification(message, 'success', this.undoAction());
     }
 
-    handleDragEnd(e) {
-        const taskCard = e.target.closest('.task-card');
-        if (taskCard) {
-            taskCard.classList.remove('dragging');
-        }
-        const taskList = document.getElementById('task-list');
-        taskList.classList.remove('drag-over');
+    /**
+     * Add imported tasks and groups as one undoable change.
+     * 'merge' keeps current data and skips tasks whose id already exists;
+     * 'replace' swaps out all current tasks and groups. `groupSettings`
+     * (color, icon, parent) is applied to the groups the import creates.
+     */
+    importTasks(tasks, groups, mode = 'merge', groupSettings = {}) {
+        const replace = mode === 'replace';
+        const existingIds = this.tasks.map(task => task.id);
+        const existing = new Set(existingIds);
+        const incoming = replace ? tasks : tasks.filter(task => !existing.has(task.id));
+        const label = replace ? 'Replace with import' : 'Import tasks';
+
+        this.history.batch(label, () => {
+            this.recordTaskChange(label, replace ? existingIds : [], () => {
+                this.tasks = replace ? incoming.slice() : [...this.tasks, ...incoming];
+            });
+            this.recordGroupChange(label, () => {
+                const needed = [...new Set([...groups, ...incoming.map(task => task.group).filter(Boolean)])];
+                if (replace) {
+                    this.userStore.setGroups(needed, groupSettings);
+                } else {
+                    const current = this.userStore.getCurrentUserGroups();
+                    needed.filter(group => !current.includes(group))
+                        .forEach(group => this.userStore.addGroup(group, groupSettings[group] || null));
+                }
+            });
+        });
+
+        if (replace) this.expandedTasks.clear();
+        this.saveTasks(incoming);
+        this.loadGroups();
+        this.updateGroupDropdown();
+        this.applyFilters();
+        this.updateProgress();
+        this.startReminderScheduler();
+        return { added: incoming.length, skipped: tasks.length - incoming.length };
     }
 
     /**
-     * Get element after which to drop the dragged element
+     * Columns written by exportCSV, in order
      */
-    getDragAfterElement(container, y) {
-        const draggableElements = [...container.querySelectorAll('.task-card:not(.dragging)')];
-        
-        return draggableElements.reduce((closest, child) => {
-            const box = child.getBoundingClientRect();
-            const offset = y - box.top - box.height / 2;
-            
-            if (offset < 0 && offset > closest.offset) {
-                return { offset: offset, element: child };
-            } else {
-                return closest;
-            }
-        }, { offset: Number.NEGATIVE_INFINITY }).element;
+    static get CSV_COLUMNS() {
+        return ['Title', 'Priority', 'Group', 'Tags', 'Due Date', 'Completed', 'Created', 'Updated'];
     }
 
     /**
-     * Save tasks to Local Storage
+     * Download tasks as a spreadsheet-friendly CSV file
      */
-    saveTasks() {
-        try {
-            const tasksData = this.tasks.map(task => task.toJSON());
-            // Persist tasks under current user profile
-            this.userStore.saveCurrentUserTasks(this.tasks);
-        } catch (error) {
-            console.error('Error saving tasks to localStorage:', error);
-            this.showNotification('Error saving tasks!', 'error');
+    exportCSV(tasks) {
+        if (!this.userStore.isUnlocked()) return;
+        if (tasks.length === 0) {
+            return this.showNotification('No tasks to export', 'error');
         }
+
+        // Spreadsheets run cells starting with these as formulas
+        const text = value => /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+        const rows = [
+            TaskManager.CSV_COLUMNS,
+            ...tasks.map(task => [
+                text(task.title),
+                task.priority,
+                text(task.group || ''),
+                text(task.tags.join(', ')),
+                task.dueDate || '',
+                task.isCompleted ? 'Yes' : 'No',
+                task.createdAt || '',
+                task.updatedAt || ''
+            ])
+        ];
+
+        const current = this.userStore.getCurrentUser();
+        const date = RecurrenceRule.formatDate(new Date());
+        // Byte order mark so Excel reads the file as UTF-8
+        this.downloadFile(`tasks-${current.username}-${date}.csv`, '\uFEFF' + CsvCodec.stringify(rows), 'text/csv');
+        this.showNotification(`Exported ${tasks.length} task${tasks.length === 1 ? '' : 's'} to CSV`, 'success');
     }
 
     /**
-     * Load tasks from Local Storage
+     * Read a CSV file chosen by the user and ask how its columns map to task fields
      */
-    loadTasks() {
+    async importCSVFile(file) {
+        if (!this.userStore.isUnlocked()) return;
+
+        let text;
         try {
-            const current = this.userStore.getCurrentUser();
-            if (current && Array.isArray(current.tasks)) {
-                this.tasks = current.tasks.map(taskData => Task.fromJSON(taskData));
-                console.log('Loaded', this.tasks.length, 'tasks from storage');
-            } else {
-                this.tasks = [];
-                console.log('No tasks found in storage');
-            }
+            text = await file.text();
         } catch (error) {
-            console.error('Error loading tasks from localStorage:', error);
-            this.showNotification('Error loading tasks!', 'error');
-            this.tasks = [];
+            console.error('Failed to read import file:', error);
+            return this.showNotification('Could not read the file', 'error');
+        }
+
+        const parsed = CsvCodec.parse(text);
+        if (!parsed.ok) return this.showNotification(parsed.error, 'error');
+        if (parsed.rows.length < 2) {
+            return this.showNotification('The CSV file needs a header row and at least one task', 'error');
         }
+        this.showCsvMapping(parsed.rows[0], parsed.rows.slice(1), file.name);
     }
 
     /**
-     * Load groups from storage
+     * Fill the column mapping dialog, guessing columns from their headers
      */
-    loadGroups() {
-        this.groups = this.userStore.getCurrentUserGroups();
-        this.renderGroups();
+    showCsvMapping(headers, rows, sourceName) {
+        if (!this.csvMappingModal) return;
+
+        const aliases = {
+            title: ['title', 'task', 'name', 'subject'],
+            priority: ['priority'],
+            group: ['group', 'category', 'project', 'list'],
+            tags: ['tags', 'tag', 'labels', 'label', 'keywords'],
+            dueDate: ['duedate', 'due', 'date', 'deadline'],
+            completed: ['completed', 'done', 'complete', 'status']
+        };
+        const normalized = headers.map(header => header.toLowerCase().replace(/[^a-z]/g, ''));
+
+        const form = document.getElementById('csv-mapping-form');
+        Object.keys(aliases).forEach(field => {
+            const select = form.elements.namedItem(field);
+            select.innerHTML = '<option value="-1">Not imported</option>' + headers
+                .map((header, index) => `<option value="${index}">${this.escapeHtml(header || `Column ${index + 1}`)}</option>`)
+                .join('');
+            const guess = normalized.findIndex(header => aliases[field].includes(header));
+            select.value = String(guess);
+        });
+
+        document.getElementById('csv-mapping-summary').textContent =
+            `${sourceName}: ${rows.length} row${rows.length === 1 ? '' : 's'}. Choose the column for each task field.`;
+
+        this.pendingCsv = { rows, sourceName };
+        this.csvMappingModal.style.display = 'flex';
+        form.elements.namedItem('title').focus();
+    }
+
+    closeCsvMapping() {
+        if (!this.csvMappingModal) return;
+        this.csvMappingModal.style.display = 'none';
+        this.pendingCsv = null;
     }
 
     /**
-     * Render groups in sidebar
+     * Turn the mapped CSV rows into tasks and hand them to the import dialog
      */
-    renderGroups() {
-        if (!this.groupsContainer) return;
-        
-        this.groupsContainer.innerHTML = this.groups.map(group => `
-            <div class="group-item" data-group="${group}">
-                <span><i class="fas fa-folder"></i> ${this.escapeHtml(group)}</span>
-                <button class="btn btn-sm btn-danger" onclick="taskManager.removeGroup('${group}')" title="Remove group"><i class="fas fa-times"></i></button>
-            </div>
-        `).join('');
+    handleCsvMappingSubmit(e) {
+        e.preventDefault();
+        if (!this.pendingCsv) return;
 
-        // Add click handlers for group filtering
-        this.groupsContainer.querySelectorAll('.group-item').forEach(item => {
-            item.addEventListener('click', (e) => {
-                if (e.target.tagName !== 'BUTTON') {
-                    const group = item.dataset.group;
-                    this.filterByGroup(group);
-                }
-            });
+        const form = e.target;
+        const mapping = {};
+        ['title', 'priority', 'group', 'tags', 'dueDate', 'completed'].forEach(field => {
+            mapping[field] = Number(form.elements.namedItem(field).value);
         });
+        if (mapping.title < 0) {
+            this.showNotification('Choose the column that holds task titles', 'error');
+            form.elements.namedItem('title').focus();
+            return;
+        }
+
+        const { rows, sourceName } = this.pendingCsv;
+        this.closeCsvMapping();
+        this.showImportDialog(this.parseCsvRows(rows, mapping), sourceName);
     }
 
     /**
-     * Show add group dialog
+     * Build tasks from CSV rows using a field -> column index mapping (-1 = unmapped).
+     * Returns { tasks, groups, problems } like parseBackup; invalid rows are
+     * reported by their line in the file and left out.
      */
-    showAddGroupDialog() {
-        const groupName = prompt('Enter group name:');
-        if (groupName && groupName.trim()) {
-            const result = this.userStore.addGroup(groupName.trim());
-            if (result.ok) {
-                this.loadGroups();
-                this.updateGroupDropdown();
-                this.showNotification('Group added successfully!', 'success');
-            } else {
-                this.showNotification(result.error, 'error');
+    parseCsvRows(rows, mapping) {
+        const tasks = [];
+        const problems = [];
+        const completedValues = new Map([
+            ['yes', true], ['y', true], ['true', true], ['1', true], ['x', true], ['done', true], ['completed', true],
+            ['no', false], ['n', false], ['false', false], ['0', false], ['', false], ['active', false], ['pending', false]
+        ]);
+
+        rows.forEach((cells, index) => {
+            const line = index + 2; // the header is line 1
+            if (cells.every(cell => !cell.trim())) return;
+
+            const cell = field => {
+                const value = mapping[field] >= 0 ? (cells[mapping[field]] || '').trim() : '';
+                // Undo the formula guard added by exportCSV
+                return /^'[=+\-@]/.test(value) ? value.slice(1) : value;
+            };
+
+            const title = cell('title');
+            if (!title) {
+                problems.push(`Line ${line}: missing title`);
+                return;
+            }
+            if (title.length > 100) {
+                problems.push(`Line ${line}: title is longer than 100 characters`);
+                return;
+            }
+
+            const task = new Task(title);
+            const priority = cell('priority');
+            if (priority && !task.updatePriority(priority.charAt(0).toUpperCase() + priority.slice(1).toLowerCase())) {
+                problems.push(`Line ${line}: invalid priority "${priority}" (use High, Medium or Low)`);
+                return;
+            }
+
+            const dueDate = cell('dueDate');
+            if (dueDate && !Task.isValidDate(dueDate)) {
+                problems.push(`Line ${line}: invalid due date "${dueDate}" (use YYYY-MM-DD)`);
+                return;
+            }
+
+            const completed = cell('completed').toLowerCase();
+            if (!completedValues.has(completed)) {
+                problems.push(`Line ${line}: invalid completed value "${cell('completed')}" (use Yes or No)`);
+                return;
             }
+
+            task.updateDueDate(dueDate || null);
+            task.updateGroup(cell('group'));
+            task.updateTags(cell('tags'));
+            if (completedValues.get(completed)) task.setStatus(Task.STATUS_DONE);
+            tasks.push(task);
+        });
+
+        return { tasks, groups: [], problems };
+    }
+
+    /**
+     * Download dated tasks as an iCalendar file of VTODOs (or VEVENTs)
+     */
+    exportICS(componentType = 'VTODO') {
+        if (!this.userStore.isUnlocked()) return;
+
+        const dated = this.getLiveTasks().filter(task => task.dueDate);
+        if (dated.length === 0) {
+            return this.showNotification('No tasks with a due date to export', 'error');
         }
+
+        const stamp = ICalendar.formatUTC(new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Task Manager//Tasks//EN',
+            'CALSCALE:GREGORIAN',
+            ...dated.flatMap(task => this.taskToICS(task, componentType, stamp)),
+            'END:VCALENDAR'
+        ];
+
+        const current = this.userStore.getCurrentUser();
+        const date = RecurrenceRule.formatDate(new Date());
+        this.downloadFile(`tasks-${current.username}-${date}.ics`, ICalendar.stringify(lines), 'text/calendar');
+        this.showNotification(`Exported ${dated.length} dated task${dated.length === 1 ? '' : 's'} to your calendar file`, 'success');
     }
 
     /**
-     * Remove group
+     * Content lines for one task as a VTODO or VEVENT.
+     * Timed tasks are written in UTC; all-day tasks as DATE values.
      */
-    removeGroup(groupName) {
-        if (confirm(`Are you sure you want to remove the group "${groupName}"?`)) {
-            const result = this.userStore.removeGroup(groupName);
-            if (result.ok) {
-                this.loadGroups();
-                this.updateGroupDropdown();
-                this.showNotification('Group removed successfully!', 'success');
+    taskToICS(task, componentType, stamp) {
+        const isEvent = componentType === 'VEVENT';
+        const start = task.dueTime
+            ? `:${ICalendar.formatUTC(task.getDueDateTime())}`
+            : `;VALUE=DATE:${task.dueDate.replace(/-/g, '')}`;
+        const lines = [
+            `BEGIN:${componentType}`,
+            `UID:${task.id}@task-manager`,
+            `DTSTAMP:${stamp}`,
+            `SUMMARY:${ICalendar.escapeText(task.title)}`
+        ];
+
+        if (task.description) lines.push(`DESCRIPTION:${ICalendar.escapeText(task.description)}`);
+        if (isEvent) {
+            lines.push(`DTSTART${start}`);
+            if (task.dueTime) {
+                lines.push('DURATION:PT1H');
             } else {
-                this.showNotification(result.error, 'error');
+                const nextDay = RecurrenceRule.parseDate(task.dueDate);
+                nextDay.setDate(nextDay.getDate() + 1);
+                lines.push(`DTEND;VALUE=DATE:${RecurrenceRule.formatDate(nextDay).replace(/-/g, '')}`);
             }
+        } else {
+            // RRULE needs a DTSTART to count occurrences from
+            if (task.recurrence) lines.push(`DTSTART${start}`);
+            lines.push(`DUE${start}`);
+        }
+
+        lines.push(`PRIORITY:${{ High: 1, Medium: 5, Low: 9 }[task.priority]}`);
+        if (task.group) lines.push(`CATEGORIES:${ICalendar.escapeText(task.group)}`);
+
+        if (isEvent) {
+            // VEVENT has no completed status of its own
+            lines.push(`X-TASK-STATUS:${task.isCompleted ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+        } else {
+            lines.push(`STATUS:${task.isCompleted ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+            if (task.isCompleted && task.completedAt) lines.push(`COMPLETED:${ICalendar.formatUTC(new Date(task.completedAt))}`);
         }
+
+        if (task.recurrence) lines.push(`RRULE:${task.recurrence}`);
+        if (task.createdAt) lines.push(`CREATED:${ICalendar.formatUTC(new Date(task.createdAt))}`);
+        if (task.updatedAt) lines.push(`LAST-MODIFIED:${ICalendar.formatUTC(new Date(task.updatedAt))}`);
+        lines.push(`END:${componentType}`);
+        return lines;
     }
 
     /**
-     * Filter by group
+     * Read an .ics file chosen by the user and offer to import its VTODOs
      */
-    filterByGroup(group) {
-        this.currentFilter.group = group;
-        this.applyFilters();
-        
-        // Update active group in sidebar
-        document.querySelectorAll('.group-item').forEach(item => {
-            item.classList.toggle('active', item.dataset.group === group);
-        });
+    async importICSFile(file) {
+        if (!this.userStore.isUnlocked()) return;
+
+        let text;
+        try {
+            text = await file.text();
+        } catch (error) {
+            console.error('Failed to read import file:', error);
+            return this.showNotification('Could not read the file', 'error');
+        }
+
+        const result = this.parseICS(text);
+        if (!result.ok) return this.showNotification(result.error, 'error');
+        this.showImportDialog(result, file.name);
     }
 
     /**
-     * Update group dropdown in task form
+     * Build tasks from the VTODOs of an iCalendar document.
+     * Returns { ok, error } or { ok, tasks, groups, problems } like parseBackup.
      */
-    updateGroupDropdown() {
-        const groupSelect = document.getElementById('task-group');
-        if (!groupSelect) return;
+    parseICS(text) {
+        const parsed = ICalendar.parse(text);
+        if (!parsed.ok) return parsed;
+
+        const calendars = parsed.components.filter(component => component.type === 'VCALENDAR');
+        const todos = calendars.flatMap(calendar => calendar.components.filter(component => component.type === 'VTODO'));
+        if (calendars.length === 0) return { ok: false, error: 'The file is not an iCalendar file' };
+        if (todos.length === 0) return { ok: false, error: 'The calendar has no to-dos (VTODO) to import' };
+
+        const tasks = [];
+        const problems = [];
+        const seenIds = new Set();
+        todos.forEach((todo, index) => {
+            const value = name => {
+                const property = ICalendar.getProperty(todo, name);
+                return property ? ICalendar.unescapeText(property.value) : '';
+            };
+            const label = `To-do ${index + 1}${value('SUMMARY') ? ` "${value('SUMMARY')}"` : ''}`;
 
-        // Clear existing options except the first one
-        groupSelect.innerHTML = '<option value="">Select Group</option>';
-        
-        // Add group options
-        this.groups.forEach(group => {
-            const option = document.createElement('option');
-            option.value = group;
-            option.textContent = group;
-            groupSelect.appendChild(option);
+            const title = value('SUMMARY').trim().slice(0, 100);
+            if (!title) {
+                problems.push(`${label}: missing title`);
+                return;
+            }
+
+            const task = new Task(title, this.priorityFromICS(ICalendar.getProperty(todo, 'PRIORITY')));
+            const uid = value('UID');
+            // Our own UIDs give back the task id; anything else keeps the new id
+            const ownId = uid.endsWith('@task-manager') ? uid.slice(0, -'@task-manager'.length) : '';
+            if (Task.isValidId(ownId)) task.id = ownId;
+            if (seenIds.has(task.id)) {
+                problems.push(`${label}: duplicate UID in file`);
+                return;
+            }
+
+            const due = this.dateFromICS(ICalendar.getProperty(todo, 'DUE') || ICalendar.getProperty(todo, 'DTSTART'));
+            if (due === false) {
+                problems.push(`${label}: invalid due date`);
+                return;
+            }
+            if (due) {
+                task.updateDueDate(due.date);
+                task.updateDueTime(due.time);
+                if (due.timeZone) task.timeZone = due.timeZone;
+            }
+
+            task.updateDescription(value('DESCRIPTION'));
+            const categories = ICalendar.getProperty(todo, 'CATEGORIES');
+            if (categories) {
+                // CATEGORIES is a comma list; only the first becomes the group
+                task.updateGroup(ICalendar.unescapeText(categories.value.split(/(?<!\\),/)[0]).trim());
+            }
+            if (value('STATUS').toUpperCase() === 'COMPLETED' || ICalendar.getProperty(todo, 'COMPLETED')) {
+                task.setStatus(Task.STATUS_DONE);
+            }
+
+            const rrule = value('RRULE');
+            if (rrule) {
+                if (task.dueDate && RecurrenceRule.parse(rrule)) {
+                    task.updateRecurrence(rrule);
+                } else {
+                    problems.push(`${label}: repeat rule "${rrule}" is not supported, imported without repeating`);
+                }
+            }
+
+            seenIds.add(task.id);
+            tasks.push(task);
         });
+
+        return { ok: true, tasks, groups: [], problems };
     }
 
     /**
-     * Print tasks
+     * Map iCalendar PRIORITY (1 highest .. 9 lowest, 0 undefined) to ours
      */
-    printTasks() {
-        const printWindow = window.open('', '_blank');
-        const tasks = this.filteredTasks.length > 0 ? this.filteredTasks : this.tasks;
-        
-        const printContent = `
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <title>Task List - ${new Date().toLocaleDateString()}</title>
-                <style>
-                    body { font-family: Arial, sans-serif; margin: 20px; }
-                    .header { text-align: center; margin-bottom: 30px; }
-                    .task { margin-bottom: 10px; padding: 10px; border: 1px solid #ddd; }
-                    .completed { text-decoration: line-through; opacity: 0.7; }
-                    .priority { font-weight: bold; }
-                    .group { color: #666; }
-                </style>
-            </head>
-            <body>
-                <div class="header">
-                    <h1>Task List</h1>
-                    <p>Generated on ${new Date().toLocaleDateString()}</p>
-                </div>
-                ${tasks.map(task => `
-                    <div class="task ${task.isCompleted ? 'completed' : ''}">
-                        <div class="priority">${task.priority}</div>
-                        <div>${task.title}</div>
-                        ${task.group ? `<div class="group">Group: ${task.group}</div>` : ''}
-                        ${task.dueDate ? `<div>Due: ${new Date(task.dueDate).toLocaleDateString()}</div>` : ''}
-                    </div>
-                `).join('')}
-            </body>
-            </html>
-        `;
-        
-        printWindow.document.write(printContent);
-        printWindow.document.close();
-        printWindow.print();
+    priorityFromICS(property) {
+        const value = property ? parseInt(property.value, 10) : 0;
+        if (value >= 1 && value <= 4) return 'High';
+        if (value >= 6 && value <= 9) return 'Low';
+        return 'Medium';
     }
 
     /**
-     * Save as PDF
+     * Read a DUE/DTSTART property as { date, time, timeZone }.
+     * Returns null when missing and false when malformed.
      */
-    saveAsPDF() {
-        // Use the same print functionality but trigger PDF save
-        this.printTasks();
+    dateFromICS(property) {
+        if (!property) return null;
+
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(property.value.trim());
+        if (!match) return false;
+        const [, year, month, day, hours, minutes, , utc] = match;
+        const date = `${year}-${month}-${day}`;
+        if (!Task.isValidDate(date)) return false;
+        if (hours === undefined) return { date, time: null, timeZone: null };
+
+        if (utc) {
+            // Show UTC times in the browser's own zone
+            const instant = new Date(Date.UTC(+year, month - 1, +day, +hours, +minutes));
+            return {
+                date: RecurrenceRule.formatDate(instant),
+                time: `${String(instant.getHours()).padStart(2, '0')}:${String(instant.getMinutes()).padStart(2, '0')}`,
+                timeZone: Task.getLocalTimeZone()
+            };
+        }
+
+        let timeZone = null;
+        if (property.params.TZID) {
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone: property.params.TZID });
+                timeZone = property.params.TZID;
+            } catch (e) {
+                // Not an IANA zone name; treat as floating local time
+            }
+        }
+        return { date, time: `${hours}:${minutes}`, timeZone };
     }
 
     /**
      * Show notification to user
      */
-    showNotification(message, type = 'info') {
+    showNotification(message, type = 'info', options = {}) {
+        const { actionLabel = null, onAction = null, isActionAvailable = null, duration = actionLabel ? 6000 : 3000 } = options;
+
         // Create notification element
         const notification = document.createElement('div');
         notification.className = `notification notification-${type}`;
@@ -1347,6 +7932,36 @@ class TaskManager {
         };
         notification.style.backgroundColor = colors[type] || colors.info;
 
+        const dismiss = () => {
+            notification.style.transform = 'translateX(100%)';
+            setTimeout(() => {
+                if (notification.parentNode) {
+                    notification.parentNode.removeChild(notification);
+                }
+            }, 300);
+        };
+
+        // Optional action button, e.g. "Undo"
+        if (actionLabel && onAction) {
+            const actionBtn = document.createElement('button');
+            actionBtn.type = 'button';
+            actionBtn.className = 'notification-action';
+            actionBtn.textContent = actionLabel;
+            actionBtn.addEventListener('click', () => {
+                dismiss();
+                onAction();
+            }, { once: true });
+            notification.appendChild(actionBtn);
+
+            // Keep the button in step with whatever it depends on until the toast goes
+            if (isActionAvailable) {
+                const refresh = () => { actionBtn.disabled = !isActionAvailable(); };
+                refresh();
+                this.notificationActions.add(refresh);
+                setTimeout(() => this.notificationActions.delete(refresh), duration + 300);
+            }
+        }
+
         // Add to DOM
         document.body.appendChild(notification);
 
@@ -1355,15 +7970,8 @@ class TaskManager {
             notification.style.transform = 'translateX(0)';
         }, 100);
 
-        // Remove after 3 seconds
-        setTimeout(() => {
-            notification.style.transform = 'translateX(100%)';
-            setTimeout(() => {
-                if (notification.parentNode) {
-                    notification.parentNode.removeChild(notification);
-                }
-            }, 300);
-        }, 3000);
+        // Remove after the display duration
+        setTimeout(dismiss, duration);
     }
 }
 